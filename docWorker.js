@@ -0,0 +1,24 @@
+/**
+ * docWorker.js
+ * Renders docs off the main thread with mdToHtml's built-in parser, so long docs
+ * don't freeze the page while they are parsed (see renderDocAsync in index.html).
+ *
+ *   postMessage({ id, md, options })  ->  { id, out }     (mdToHtml.renderDocument result)
+ *                                     or  { id, error }
+ *
+ * `options` must be structured-cloneable (no highlight function). This is a separate
+ * copy of mdToHtml.js: the page's mdToHtml.use() plugins don't exist here, so the page
+ * only sends work when it has none (mdToHtml.hasPlugins()).
+ */
+
+importScripts("mdToHtml.js");
+
+self.addEventListener("message", (e) => {
+  const { id, md, options } = e.data || {};
+  try {
+    const out = self.mdToHtml.renderDocument(md, Object.assign({}, options, { markdownIt: false }));
+    self.postMessage({ id: id, out: out });
+  } catch (err) {
+    self.postMessage({ id: id, error: String((err && err.message) || err) });
+  }
+});
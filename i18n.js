@@ -0,0 +1,264 @@
+(function () {
+  "use strict";
+
+  /**
+   * i18n.js
+   * Message catalogs, locale detection and locale-aware formatting for the site shell.
+   *
+   * Catalogs are flat JSON files, one per locale (i18n/zh-CN.json, i18n/en.json):
+   *   {
+   *     "nav.home": "Home",
+   *     "docs.loaded": { "one": "Loaded {count} doc", "other": "Loaded {count} docs" }
+   *   }
+   * A message is a string with {name} placeholders, or an object keyed by plural
+   * category (Intl.PluralRules: zero/one/two/few/many/other) picked by params.count.
+   * Number params are formatted for the current locale. Keys missing from the
+   * current catalog come from the fallback locale's catalog, then the key itself;
+   * apply() leaves an element's own text alone when its key has no message.
+   *
+   * Usage:
+   *   <script src="i18n.js"></script>
+   *   await i18n.setLocale(i18n.detect(localStorage.getItem("miragev_lang")));
+   *   i18n.t("docs.loaded", { count: 2 });
+   *   i18n.html("status.activity.join", { name: "<b>Steve</b>" }); // message escaped, params as-is
+   *   i18n.formatNumber(1234.5);
+   *   i18n.formatDate(Date.now(), { dateStyle: "medium" });
+   *   i18n.apply(root);  // [data-i18n="key"] text, [data-i18n-attr="attr:key; attr:key"] attributes
+   *
+   * i18n.configure({ locales: [{ code, name }], fallback, baseUrl, timeout }) sets the
+   * supported locales, the source/fallback locale, the directory catalogs are loaded
+   * from and how long a catalog request may take (ms) before it counts as missing.
+   * i18n.define(code, messages) supplies a catalog up front (e.g. the source language
+   * inlined in the page), so text never depends on a request; a fetched file for the
+   * same locale is merged over it.
+   */
+
+  const config = {
+    locales: [
+      { code: "zh-CN", name: "简体中文" },
+      { code: "en", name: "English" },
+    ],
+    fallback: "zh-CN",
+    baseUrl: "i18n/",
+    timeout: 5000,
+  };
+
+  const catalogs = Object.create(null); // code -> Promise<object>
+  const loaded = Object.create(null);   // code -> object, once fetched or defined
+  const defined = Object.create(null);  // code -> object from define()
+  let current = config.fallback;
+  let setSeq = 0;
+
+  /* =========================================================
+   * Utilities
+   * ========================================================= */
+
+  function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+  }
+
+  function language(tag) {
+    return String(tag || "").toLowerCase().split(/[-_]/)[0];
+  }
+
+  /* =========================================================
+   * Locales
+   * ========================================================= */
+
+  function match(tag) {
+    // Best supported code for a BCP 47 tag: exact match first, then same language
+    // ("en-US" -> "en", "zh-TW" -> "zh-CN"). "" when nothing fits.
+    const t = String(tag || "").replace(/_/g, "-").toLowerCase();
+    if (!t) return "";
+    const exact = config.locales.find(l => l.code.toLowerCase() === t);
+    if (exact) return exact.code;
+    const lang = language(t);
+    const same = config.locales.find(l => language(l.code) === lang);
+    return same ? same.code : "";
+  }
+
+  function detect(saved, preferred) {
+    // A saved choice wins, then the browser's preferred languages, then the fallback.
+    const nav = typeof navigator !== "undefined" ? navigator : {};
+    const list = preferred || (nav.languages && nav.languages.length ? nav.languages : [nav.language]);
+    for (const tag of [saved].concat(Array.from(list || []))) {
+      const code = match(tag);
+      if (code) return code;
+    }
+    return config.fallback;
+  }
+
+  function localeName(code) {
+    const l = config.locales.find(x => x.code === code);
+    return l ? l.name : String(code || "");
+  }
+
+  function sameLanguage(a, b) {
+    return language(a) === language(b);
+  }
+
+  /* =========================================================
+   * Catalogs
+   * ========================================================= */
+
+  function load(code) {
+    // Fetches (once) and caches a catalog. A missing, broken or slow (config.timeout)
+    // catalog resolves to the defined messages, or {}, and is retried on the next call.
+    if (catalogs[code]) return catalogs[code];
+    catalogs[code] = (async () => {
+      const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), config.timeout) : null;
+      try {
+        const res = await fetch(config.baseUrl + code + ".json", {
+          cache: "no-cache",
+          signal: controller ? controller.signal : undefined,
+        });
+        if (!res.ok) throw new Error("HTTP " + res.status);
+        const data = await res.json();
+        if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("catalog must be a JSON object");
+        loaded[code] = Object.assign({}, defined[code], data);
+        return loaded[code];
+      } catch (e) {
+        delete catalogs[code];
+        return defined[code] || {};
+      } finally {
+        clearTimeout(timer);
+      }
+    })();
+    return catalogs[code];
+  }
+
+  function define(code, messages) {
+    defined[code] = Object.assign({}, messages);
+    loaded[code] = Object.assign({}, defined[code], catalogs[code] ? loaded[code] : null);
+  }
+
+  async function setLocale(code) {
+    // Loads the catalogs first, so t() never sees a half-switched locale.
+    const next = match(code) || config.fallback;
+    const seq = ++setSeq;
+    await Promise.all([load(next), load(config.fallback)]);
+    if (seq === setSeq) current = next;
+    return current;
+  }
+
+  function configure(options) {
+    const o = options || {};
+    if (Array.isArray(o.locales) && o.locales.length) config.locales = o.locales.slice();
+    if (typeof o.fallback === "string") config.fallback = o.fallback;
+    if (typeof o.baseUrl === "string") config.baseUrl = o.baseUrl;
+    if (typeof o.timeout === "number") config.timeout = o.timeout;
+    if (!match(current)) current = config.fallback;
+  }
+
+  /* =========================================================
+   * Messages & formatting
+   * ========================================================= */
+
+  function lookup(key) {
+    for (const code of [current, config.fallback]) {
+      const cat = loaded[code];
+      if (cat && Object.prototype.hasOwnProperty.call(cat, key)) return cat[key];
+    }
+    return null;
+  }
+
+  function pluralCategory(count) {
+    try {
+      return new Intl.PluralRules(current).select(count);
+    } catch (e) {
+      return count === 1 ? "one" : "other";
+    }
+  }
+
+  function message(key, params) {
+    let msg = lookup(key);
+    if (msg && typeof msg === "object") {
+      const cat = pluralCategory(Number(params && params.count));
+      msg = msg[cat] != null ? msg[cat] : msg.other;
+    }
+    return typeof msg === "string" ? msg : String(key);
+  }
+
+  function formatParam(v) {
+    return typeof v === "number" ? formatNumber(v) : String(v);
+  }
+
+  function interpolate(msg, params, render) {
+    if (!params) return msg;
+    return msg.replace(/\{(\w+)\}/g, (m, name) =>
+        Object.prototype.hasOwnProperty.call(params, name) ? render(params[name]) : m);
+  }
+
+  function t(key, params) {
+    return interpolate(message(key, params), params, formatParam);
+  }
+
+  function html(key, params) {
+    // For markup: the message text is escaped, params are inserted as given (numbers
+    // are formatted), so callers escape their own values.
+    return interpolate(escapeHtml(message(key, params)), params, formatParam);
+  }
+
+  function formatNumber(n, options) {
+    try {
+      return new Intl.NumberFormat(current, options).format(n);
+    } catch (e) {
+      return String(n);
+    }
+  }
+
+  function formatDate(value, options) {
+    const d = value instanceof Date ? value : new Date(typeof value === "string" ? Date.parse(value) : value);
+    if (isNaN(d.getTime())) return String(value);
+    try {
+      return new Intl.DateTimeFormat(current, options).format(d);
+    } catch (e) {
+      return d.toISOString();
+    }
+  }
+
+  function apply(root) {
+    // Untranslated keys keep the markup's own text rather than showing the key.
+    const scope = root || document;
+    scope.querySelectorAll("[data-i18n]").forEach((el) => {
+      const key = el.getAttribute("data-i18n");
+      if (lookup(key) != null) el.textContent = t(key);
+    });
+    scope.querySelectorAll("[data-i18n-attr]").forEach((el) => {
+      el.getAttribute("data-i18n-attr").split(";").forEach((pair) => {
+        const idx = pair.indexOf(":");
+        if (idx < 0) return;
+        const key = pair.slice(idx + 1).trim();
+        if (lookup(key) != null) el.setAttribute(pair.slice(0, idx).trim(), t(key));
+      });
+    });
+  }
+
+  const i18n = {
+    configure: configure,
+    load: load,
+    define: define,
+    setLocale: setLocale,
+    locale: () => current,
+    locales: () => config.locales.slice(),
+    fallback: () => config.fallback,
+    match: match,
+    detect: detect,
+    localeName: localeName,
+    sameLanguage: sameLanguage,
+    t: t,
+    html: html,
+    formatNumber: formatNumber,
+    formatDate: formatDate,
+    apply: apply,
+  };
+
+  if (typeof window !== "undefined") window.i18n = i18n;
+  if (typeof globalThis !== "undefined") globalThis.i18n = i18n;
+})();
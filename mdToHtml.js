@@ -1,4 +1,18 @@
-(function () {
+(function (root, factory) {
+  // UMD: CommonJS (require, or Node's import of this .js file), AMD, else a browser
+  // global. mdToHtml.mjs re-exports it for ES module imports.
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else if (typeof define === "function" && define.amd) {
+    define([], factory);
+  } else {
+    root.mdToHtml = factory();
+    // For debugging: always the built-in parser.
+    root._mdToHtmlFallback = function (md, options) {
+      return root.mdToHtml(md, Object.assign({}, options, { markdownIt: false }));
+    };
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
   "use strict";
 
   /**
@@ -9,11 +23,19 @@
    *   CommonMark-compliant Markdown plus popular extensions (GFM-ish).
    * - If `markdown-it` is NOT present, it falls back to a lightweight built-in parser
    *   that supports most day-to-day Markdown features (headings, lists, tables, code,
-   *   blockquotes, emphasis, links/images, task lists, strikethrough, autolinks, etc.).
+   *   blockquotes, emphasis, links/images, task lists, strikethrough, autolinks,
+   *   reference-style links, footnotes, etc.).
    *
    * SECURITY NOTE:
    * - By default, raw HTML inside Markdown is NOT rendered (safe-by-default).
-   * - You may enable it via options: { allowHtml: true } (only if you trust the Markdown).
+   * - With { allowHtml: true } raw HTML is rendered through an allowlist sanitizer
+   *   (both renderers): unknown tags, event handlers, unsafe URLs and style
+   *   expressions are stripped. Extend it with
+   *   { sanitize: { allowTags, dropTags, allowAttributes: { tag: [...] } } }, or
+   *   pass { sanitize: false } only for fully trusted Markdown.
+   *   Ids written in raw HTML are prefixed with "user-content-" so they can't clash
+   *   with the host page's own ids; the doc's own "#id" links to them are rewritten
+   *   to match.
    *
    * Usage (recommended, full feature):
    *   <script src="https://cdn.jsdelivr.net/npm/markdown-it/dist/markdown-it.min.js"></script>
@@ -23,8 +45,56 @@
    * Usage (fallback):
    *   <script src="mdToHtml.js"></script>
    *   const html = window.mdToHtml(markdownText);
+   *
+   * Usage (modules, Node without a DOM):
+   *   const mdToHtml = require("./mdToHtml.js");          // or: import mdToHtml from "./mdToHtml.mjs"
+   *   mdToHtml(md, {
+   *     markdownIt: require("markdown-it"),                // omit (or false) for the built-in parser
+   *     markdownItPlugins: { footnote: require("markdown-it-footnote"), container: require("markdown-it-container") },
+   *   });
+   *   Plugin keys: footnote, taskLists, deflist, sub, sup, mark, abbr, attrs, container.
+   *   Without these options a page's window.markdownit / window.markdownit* globals are used.
+   *
+   * Headings always get de-duplicated `id` slugs. Table of contents:
+   *   mdToHtml(md, { toc: true })       // prepends <nav class="md-toc">
+   *   mdToHtml(md, { toc: "return" })   // -> { html, toc, headings }
+   *   (tocMinLevel / tocMaxLevel limit the levels listed, default 1..3)
+   *
+   * A leading YAML front matter block (--- ... ---) is stripped from the output
+   * (disable with { frontMatter: false }); read it back with:
+   *   mdToHtml.renderDocument(md)      // -> { html, meta, toc, headings }
+   *   mdToHtml.frontMatter(md)         // -> { meta, body }
+   *
+   * Relative Markdown link/image URLs are resolved against { baseUrl } (e.g. the
+   * .md file's own path, "docx/FAAS.md"); absolute, root-relative and #fragment
+   * URLs are left alone. Raw HTML tags are not rewritten.
+   *
+   * Fenced code is highlighted for lua, json, javascript, bash and ini (plus aliases)
+   * as <span class="hl-*"> tokens; pass { highlight: false } to turn it off or a
+   * function (code, lang) -> html to replace it. mdToHtml.highlight(code, lang) is
+   * the built-in highlighter.
+   *
+   * Callouts: `::: warning Title` ... `:::` containers and `> [!NOTE]` alerts render as
+   * <div class="md-callout md-callout-KIND"> for note, tip, info, warning and danger.
+   * On the markdown-it path containers need markdown-it-container on the page.
+   *
+   * ```api fences hold a YAML (or JSON) endpoint description and render as a
+   * <section class="md-api"> reference card with a parameter table (both renderers);
+   * the format is described above parseApiSpec.
+   *
+   * The built-in parser is public too, for tooling and site extensions:
+   *   mdToHtml.parse(md)                    // -> AST (node types: top of the "Fallback parser" section)
+   *   mdToHtml.render(ast, renderer, opts)  // -> HTML, with per-node-type overrides
+   *   mdToHtml.use(plugin)                  // adds block/inline rules and renderers
+   * Plugins only affect the built-in parser; markdown-it has its own plugin system.
+   *
+   * mdToHtml.version changes whenever the HTML produced for the same input changes;
+   * code that caches rendered output keys on it.
    */
 
+  // Bump with any change to the generated markup (parser, renderers, sanitizer, highlighter).
+  const VERSION = "1.0.4";
+
   /* =========================================================
    * Utilities
    * ========================================================= */
@@ -38,24 +108,46 @@
         .replace(/'/g, "&#39;");
   }
 
-  function unescapeHtml(str) {
-    // Only used internally for safe slices; not intended as a general decoder.
-    return String(str)
-        .replace(/&lt;/g, "<")
-        .replace(/&gt;/g, ">")
-        .replace(/&quot;/g, "\"")
-        .replace(/&#39;/g, "'")
-        .replace(/&amp;/g, "&");
-  }
-
   function normalizeNewlines(md) {
-    return String(md == null ? "" : md).replace(/\r\n/g, "\n").replace(/\r/g, "\n");
+    // Also U+0000 -> U+FFFD, as CommonMark requires.
+    return String(md == null ? "" : md).replace(/\r\n/g, "\n").replace(/\r/g, "\n").replace(/\u0000/g, "\uFFFD");
   }
 
   function isAbsoluteUrl(url) {
     return /^(https?:\/\/|mailto:|tel:)/i.test(url);
   }
 
+  function resolveUrl(url, baseUrl) {
+    // Resolves a relative link/image URL against { baseUrl } (usually the .md file's
+    // own path). Absolute, scheme, root-relative and fragment/query-only URLs are kept.
+    const u = String(url || "");
+    if (!baseUrl || !u || /^([a-z][a-z0-9+.-]*:|\/|#|\?)/i.test(u)) return u;
+
+    const base = String(baseUrl);
+    if (/^[a-z][a-z0-9+.-]*:/i.test(base)) {
+      try { return new URL(u, base).href; } catch (e) { return u; }
+    }
+
+    // Relative base: join with its directory and fold "." / ".." segments.
+    const cut = u.search(/[?#]/);
+    const pathPart = cut >= 0 ? u.slice(0, cut) : u;
+    const suffix = cut >= 0 ? u.slice(cut) : "";
+    const segs = base.slice(0, base.lastIndexOf("/") + 1).split("/").slice(0, -1).concat(pathPart.split("/"));
+    const out = [];
+    segs.forEach((seg, i) => {
+      if (seg === ".") {
+        if (i === segs.length - 1) out.push("");
+      } else if (seg === "..") {
+        if (out.length && out[out.length - 1] !== "..") out.pop();
+        else out.push("..");
+        if (i === segs.length - 1) out.push("");
+      } else {
+        out.push(seg);
+      }
+    });
+    return out.join("/") + suffix;
+  }
+
   function escapeAttr(str) {
     // Escape attribute values (safe for quotes)
     return escapeHtml(str).replace(/`/g, "&#96;");
@@ -68,45 +160,963 @@
 
     // Disallow javascript:, data: (except images maybe), vbscript:
     // Allow: http(s), mailto, tel, relative, hash.
-    const lower = h.toLowerCase();
+    // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:").
+    const lower = h.replace(/[\u0000-\u0020\u007f]/g, "").toLowerCase();
     if (lower.startsWith("javascript:") || lower.startsWith("vbscript:")) return "";
     if (lower.startsWith("data:")) return ""; // safest default
     return h;
   }
 
-  function addRelTargetToLinks(html, opts) {
-    // Best-effort: rewrite <a ...> tags to include rel/target if desired.
-    if (!opts || !opts.linkTargetBlank) return html;
-    return html.replace(/<a\b([^>]*?)>/gi, function (m, attrs) {
-      // If target already set, keep it; else set.
-      let a = attrs;
-      if (!/\btarget\s*=\s*["'][^"']*["']/i.test(a)) {
-        a += ' target="_blank"';
-      }
-      // Ensure rel contains noopener noreferrer
-      const relMatch = a.match(/\brel\s*=\s*["']([^"']*)["']/i);
-      if (relMatch) {
-        const relVal = relMatch[1];
-        const parts = relVal.split(/\s+/).filter(Boolean);
-        if (parts.indexOf("noopener") === -1) parts.push("noopener");
-        if (parts.indexOf("noreferrer") === -1) parts.push("noreferrer");
-        const newRel = parts.join(" ");
-        a = a.replace(relMatch[0], 'rel="' + escapeAttr(newRel) + '"');
-      } else {
-        a += ' rel="noopener noreferrer"';
+  /* =========================================================
+   * HTML sanitizer (allowlist)
+   * ========================================================= */
+
+  // Used for raw HTML when { allowHtml: true }. Tags outside the allowlist are removed
+  // (their text is kept); tags in SANITIZE_DROP_CONTENT are removed with their content.
+  // Only allowlisted attributes survive; on* handlers never do. URL attributes go
+  // through safeLinkHref, and style is reduced to a small set of harmless properties.
+  // Ids written in raw HTML get a "user-content-" prefix (prefixRawIds) so a doc can't
+  // reuse the ids of the page it is shown in; generated ids (headings, footnotes, API
+  // cards) are kept as they are.
+  const SANITIZE_TAGS = [
+    "a", "abbr", "b", "blockquote", "br", "caption", "cite", "code", "col", "colgroup",
+    "dd", "del", "details", "div", "dl", "dt", "em", "figcaption", "figure",
+    "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "input", "ins", "kbd", "li",
+    "mark", "nav", "ol", "p", "pre", "q", "s", "samp", "section", "small", "span",
+    "strong", "sub", "summary", "sup", "table", "tbody", "td", "tfoot", "th", "thead",
+    "tr", "u", "ul", "var", "wbr",
+  ];
+
+  const SANITIZE_ATTRS = {
+    "*": ["class", "id", "title", "lang", "dir", "role", "style", "aria-*"],
+    a: ["href", "name", "target", "rel"],
+    img: ["src", "alt", "width", "height", "loading"],
+    td: ["colspan", "rowspan", "align"],
+    th: ["colspan", "rowspan", "align", "scope"],
+    col: ["span"],
+    colgroup: ["span"],
+    ol: ["start", "type", "reversed"],
+    li: ["value"],
+    details: ["open"],
+    input: ["type", "checked", "disabled"],
+    blockquote: ["cite"],
+    q: ["cite"],
+    del: ["cite"],
+    ins: ["cite"],
+  };
+
+  const SANITIZE_URL_ATTRS = ["href", "src", "cite"];
+
+  const SANITIZE_DROP_CONTENT = [
+    "script", "style", "iframe", "frame", "frameset", "object", "embed", "applet",
+    "noscript", "noembed", "template", "textarea", "select", "title", "xmp", "svg", "math",
+  ];
+
+  const SANITIZE_STYLE_PROPS = [
+    "color", "background-color", "text-align", "text-decoration", "font-weight",
+    "font-style", "font-size", "vertical-align", "white-space", "width", "height",
+    "max-width", "margin", "margin-top", "margin-bottom", "margin-left", "margin-right",
+    "padding", "padding-top", "padding-bottom", "padding-left", "padding-right",
+    "border", "border-radius", "border-color", "border-style", "border-width",
+  ];
+
+  function decodeEntities(str) {
+    // Enough to see through entity-obfuscated attribute values (e.g. "jav&#x61;script:").
+    return String(str)
+        .replace(/&#x([0-9a-f]+);?/gi, (_m, h) => String.fromCodePoint(parseInt(h, 16) || 0xfffd))
+        .replace(/&#(\d+);?/g, (_m, d) => String.fromCodePoint(parseInt(d, 10) || 0xfffd))
+        .replace(/&(tab|newline);/gi, " ")
+        .replace(/&colon;/gi, ":")
+        .replace(/&lt;/gi, "<")
+        .replace(/&gt;/gi, ">")
+        .replace(/&quot;/gi, "\"")
+        .replace(/&apos;/gi, "'")
+        .replace(/&amp;/gi, "&");
+  }
+
+  function sanitizeStyle(style) {
+    return String(style).split(";").map(decl => {
+      const idx = decl.indexOf(":");
+      if (idx < 0) return "";
+      const prop = decl.slice(0, idx).trim().toLowerCase();
+      const value = decl.slice(idx + 1).trim();
+      if (SANITIZE_STYLE_PROPS.indexOf(prop) === -1 || !value) return "";
+      if (/expression|url\s*\(|javascript:|vbscript:|@import|behavior|binding|[\\<>]/i.test(value)) return "";
+      return prop + ": " + value;
+    }).filter(Boolean).join("; ");
+  }
+
+  function buildSanitizeConfig(opts) {
+    // opts.sanitize: { allowTags: [], dropTags: [], allowAttributes: { tag|"*": [] } }
+    const cfg = (opts && typeof opts.sanitize === "object" && opts.sanitize) || {};
+    const tags = Object.create(null);
+    SANITIZE_TAGS.concat(cfg.allowTags || []).forEach(t => { tags[String(t).toLowerCase()] = true; });
+    (cfg.dropTags || []).forEach(t => { delete tags[String(t).toLowerCase()]; });
+
+    const attrs = Object.create(null);
+    const addAttrs = (map) => Object.keys(map || {}).forEach(tag => {
+      const key = tag.toLowerCase();
+      attrs[key] = (attrs[key] || []).concat(map[tag].map(a => String(a).toLowerCase()));
+    });
+    addAttrs(SANITIZE_ATTRS);
+    addAttrs(cfg.allowAttributes);
+
+    return {
+      tags: tags,
+      attrs: attrs,
+      allowUnsafeLinks: !!(opts && opts.allowUnsafeLinks),
+      linkTargetBlank: !(opts && opts.linkTargetBlank === false),
+    };
+  }
+
+  function isAllowedAttr(cfg, tag, name) {
+    if (/^on/i.test(name)) return false;
+    const lists = [cfg.attrs[tag] || [], cfg.attrs["*"] || []];
+    return lists.some(list => list.some(a => a === name || (a.endsWith("*") && name.startsWith(a.slice(0, -1)))));
+  }
+
+  function sanitizeAttrs(cfg, tag, rawAttrs) {
+    const out = [];
+    const seen = Object.create(null);
+    const re = new RegExp(SANITIZE_ATTR_RE.source, "g");
+    let m;
+    while ((m = re.exec(rawAttrs))) {
+      const name = m[1].toLowerCase();
+      if (seen[name] || !isAllowedAttr(cfg, tag, name)) continue;
+      seen[name] = true;
+      const hasValue = m[2] != null || m[3] != null || m[4] != null;
+      let value = decodeEntities(m[2] != null ? m[2] : m[3] != null ? m[3] : (m[4] || ""));
+
+      if (SANITIZE_URL_ATTRS.indexOf(name) !== -1) {
+        value = safeLinkHref(value, cfg.allowUnsafeLinks);
+        if (!value) continue;
+      } else if (name === "style") {
+        value = sanitizeStyle(value);
+        if (!value) continue;
+      }
+      out.push(hasValue || name === "style" ? [name, value] : [name, null]);
+    }
+
+    if (tag === "input") {
+      // Only read-only checkboxes (task lists) are allowed.
+      const type = out.find(a => a[0] === "type");
+      if (!type || String(type[1]).toLowerCase() !== "checkbox") return null;
+      if (!out.some(a => a[0] === "disabled")) out.push(["disabled", null]);
+    }
+    if (tag === "a" && cfg.linkTargetBlank && out.some(a => a[0] === "href")) {
+      applyLinkTarget(out);
+    }
+    return out;
+  }
+
+  function applyLinkTarget(attrs) {
+    // target="_blank" (unless set) plus rel="noopener noreferrer" on an [name, value] list.
+    // In-page fragment links (#id, footnotes) stay in the current tab.
+    const href = attrs.find(a => a[0] === "href");
+    if (href && String(href[1] || "").charAt(0) === "#") return;
+    let target = attrs.find(a => a[0] === "target");
+    if (!target) attrs.push(target = ["target", "_blank"]);
+    if (target[1] !== "_blank") return;
+    let rel = attrs.find(a => a[0] === "rel");
+    if (!rel) attrs.push(rel = ["rel", ""]);
+    const parts = String(rel[1] || "").split(/\s+/).filter(Boolean);
+    if (parts.indexOf("noopener") === -1) parts.push("noopener");
+    if (parts.indexOf("noreferrer") === -1) parts.push("noreferrer");
+    rel[1] = parts.join(" ");
+  }
+
+  const SANITIZE_TAG_RE = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(\/?)([A-Za-z][A-Za-z0-9-]*)((?:\s+[^\s"'<>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+  const SANITIZE_ATTR_RE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const USER_ID_PREFIX = "user-content-";
+
+  function prefixRawIds(html) {
+    // Raw HTML only (before sanitizeHtml runs over the whole output): id="x" -> id="user-content-x".
+    return String(html).replace(new RegExp(SANITIZE_TAG_RE.source, "g"), (tag, slash, name, attrs) => {
+      if (!name || !attrs || !/\bid\s*=/i.test(attrs)) return tag;
+      const rewritten = attrs.replace(new RegExp(SANITIZE_ATTR_RE.source, "g"), (a, attr, dq, sq, bare) => {
+        if (attr.toLowerCase() !== "id") return a;
+        const value = decodeEntities(dq != null ? dq : sq != null ? sq : (bare || ""));
+        return 'id="' + escapeAttr(USER_ID_PREFIX + value) + '"';
+      });
+      const start = 1 + slash.length + name.length; // attributes follow "<" + "/"? + name
+      return tag.slice(0, start) + rewritten + tag.slice(start + attrs.length);
+    });
+  }
+
+  function linkRawIds(html) {
+    // Sanitized output only (every "<" starts a tag, values are double-quoted):
+    // href="#x" -> href="#user-content-x" when x exists only as a prefixed raw HTML
+    // id, so a doc's links to its own anchors keep working. Like on GitHub, an
+    // element that really has id="x" (a heading, a footnote) wins.
+    if (html.indexOf(' id="' + USER_ID_PREFIX) === -1) return html;
+    const ids = new Set();
+    html.replace(/<[A-Za-z][^>]*\sid="([^"]*)"/g, (m, id) => ids.add(decodeEntities(id)));
+    return html.replace(/(<a\b[^>]*\shref="#)([^"]*)"/g, (m, head, frag) => {
+      let id = decodeEntities(frag);
+      try { id = decodeURIComponent(id); } catch (e) { /* keep as written */ }
+      return !ids.has(id) && ids.has(USER_ID_PREFIX + id) ? head + USER_ID_PREFIX + frag + '"' : m;
+    });
+  }
+
+  function sanitizeHtml(html, options) {
+    const cfg = buildSanitizeConfig(options);
+    const src = String(html == null ? "" : html);
+    const tagRe = new RegExp(SANITIZE_TAG_RE.source, "g");
+    let out = "";
+    let last = 0;
+    let m;
+
+    while ((m = tagRe.exec(src))) {
+      out += src.slice(last, m.index).replace(/</g, "&lt;");
+      last = tagRe.lastIndex;
+      if (!m[2]) continue; // comment, doctype, processing instruction
+
+      const closing = !!m[1];
+      const tag = m[2].toLowerCase();
+
+      if (SANITIZE_DROP_CONTENT.indexOf(tag) !== -1) {
+        if (!closing && !m[4]) {
+          // Skip everything up to the matching close tag.
+          const end = new RegExp("</" + tag + "\\s*>", "ig");
+          end.lastIndex = last;
+          const e = end.exec(src);
+          last = e ? end.lastIndex : src.length;
+          tagRe.lastIndex = last;
+        }
+        continue;
+      }
+      if (!cfg.tags[tag]) continue;
+
+      if (closing) {
+        out += "</" + tag + ">";
+        continue;
+      }
+      const attrs = sanitizeAttrs(cfg, tag, m[3] || "");
+      if (!attrs) continue;
+      out += "<" + tag + attrs.map(a => " " + a[0] + (a[1] == null ? "" : '="' + escapeAttr(a[1]) + '"')).join("") +
+          (m[4] ? "/>" : ">");
+    }
+    out += src.slice(last).replace(/</g, "&lt;");
+    return out;
+  }
+
+  /* =========================================================
+   * Heading anchors & table of contents
+   * ========================================================= */
+
+  function slugify(text) {
+    // Keeps letters/digits of any script (CJK included), dots, dashes and underscores,
+    // so "2.1 分层结构" becomes "2.1-分层结构".
+    const slug = String(text)
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s._-]/gu, "")
+        .replace(/\s+/g, "-")
+        .replace(/-{2,}/g, "-")
+        .replace(/^-+|-+$/g, "");
+    return slug || "section";
+  }
+
+  function createSlugger() {
+    // Per-document slug generator: repeated headings get -1, -2, ... suffixes.
+    const seen = Object.create(null);
+    return function (text) {
+      const base = slugify(text);
+      let slug = base;
+      while (seen[slug] != null) {
+        seen[base]++;
+        slug = base + "-" + seen[base];
+      }
+      seen[slug] = 0;
+      return slug;
+    };
+  }
+
+  function createEnv() {
+    // Per-render state shared by both renderers. The fallback parser also collects
+    // link reference definitions and footnotes here (keys are normalized labels).
+    return {
+      slug: createSlugger(),
+      headings: [],
+      linkRefs: Object.create(null),
+      noteDefs: Object.create(null),
+      noteOrder: [],
+    };
+  }
+
+  function buildTocTree(headings, opts) {
+    const min = opts.tocMinLevel || 1;
+    const max = opts.tocMaxLevel || 3;
+    const root = { level: 0, children: [] };
+    const stack = [root];
+    headings.forEach(h => {
+      if (h.level < min || h.level > max) return;
+      while (stack.length > 1 && stack[stack.length - 1].level >= h.level) stack.pop();
+      const node = { level: h.level, text: h.text, id: h.id, children: [] };
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+    });
+    return root.children;
+  }
+
+  function renderTocTree(nodes) {
+    if (!nodes.length) return "";
+    return "<ul>" + nodes.map(n => {
+      return '<li><a href="#' + escapeAttr(n.id) + '" data-toc-id="' + escapeAttr(n.id) + '">' +
+          escapeHtml(n.text) + "</a>" + renderTocTree(n.children) + "</li>";
+    }).join("") + "</ul>";
+  }
+
+  function applyToc(html, headings, opts) {
+    // toc: true | "inject" -> prepend a <nav class="md-toc">
+    // toc: "return"        -> return { html, toc, headings } instead of a string
+    if (!opts.toc) return html;
+    const tree = buildTocTree(headings, opts);
+    const tocHtml = tree.length ? '<nav class="md-toc">' + renderTocTree(tree) + "</nav>" : "";
+    if (opts.toc === "return") {
+      return { html: html, toc: tocHtml, headings: headings };
+    }
+    return tocHtml + html;
+  }
+
+  /* =========================================================
+   * Syntax highlighting (dependency-free)
+   * ========================================================= */
+
+  // Each language is an ordered list of [tokenType, stickyRegex]. At every position the
+  // first matching rule wins; unmatched characters are emitted as plain text. Token
+  // types become <span class="hl-TYPE"> and are themed by the page's CSS.
+  const HL_LANGS = {
+    lua: [
+      ["comment", /--\[(=*)\[[\s\S]*?\]\1\]|--[^\n]*/y],
+      ["string", /\[(=*)\[[\s\S]*?\]\1\]|"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?/y],
+      ["number", /0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y],
+      ["keyword", /(?:and|break|do|elseif|else|end|false|for|function|goto|if|in|local|nil|not|or|repeat|return|then|true|until|while)\b/y],
+      ["builtin", /(?:assert|error|ipairs|next|pairs|pcall|print|rawget|rawset|require|select|setmetatable|getmetatable|tonumber|tostring|type|unpack|xpcall|coroutine|math|os|string|table|io|peripheral|textutils|rednet|redstone|fs|term|colors|sleep|parallel|http)\b/y],
+      ["function", /[A-Za-z_]\w*(?=\s*[({"'])/y],
+      ["plain", /[A-Za-z_]\w*/y],
+      ["operator", /\.\.\.?|[=~<>]=|[-+*/%^#<>=]|::/y],
+    ],
+    json: [
+      ["property", /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+      ["string", /"(?:[^"\\\n]|\\.)*"?/y],
+      ["number", /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][-+]?\d+)?/y],
+      ["keyword", /(?:true|false|null)\b/y],
+      ["comment", /\/\/[^\n]*|\/\*[\s\S]*?\*\//y],
+    ],
+    javascript: [
+      ["comment", /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+      ["string", /"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?|`(?:[^`\\]|\\[\s\S])*`?/y],
+      ["number", /0[xXbBoO][0-9a-fA-F_]+n?|(?:\d[\d_]*\.?\d*|\.\d+)(?:[eE][-+]?\d+)?n?/y],
+      ["keyword", /(?:async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|false|finally|for|from|function|if|import|in|instanceof|let|new|null|of|return|static|super|switch|this|throw|true|try|typeof|undefined|var|void|while|with|yield)\b/y],
+      ["builtin", /(?:Array|Boolean|console|Date|document|Error|globalThis|JSON|Map|Math|Number|Object|Promise|RegExp|Set|String|Symbol|window)\b/y],
+      ["function", /[A-Za-z_$][\w$]*(?=\s*\()/y],
+      ["plain", /[A-Za-z_$][\w$]*/y],
+      ["operator", /=>|[-+*/%=!<>&|^~?:]=?/y],
+    ],
+    bash: [
+      ["comment", /(?:^|(?<=\s))#[^\n]*/my],
+      ["string", /"(?:[^"\\]|\\[\s\S])*"?|'[^']*'?/y],
+      ["variable", /\$(?:\{[^}\n]*\}|\(\(?|[A-Za-z_]\w*|[0-9@#?$!*-])/y],
+      ["keyword", /(?:if|then|elif|else|fi|for|while|until|do|done|case|esac|in|function|select|return|exit|local|export|readonly|declare|unset)\b/y],
+      ["builtin", /(?:echo|printf|cd|pwd|ls|cat|cp|mv|rm|mkdir|chmod|chown|grep|sed|awk|curl|wget|git|npm|node|java|sudo|source|test|read|set|shift|trap|kill|tar|ssh|scp)\b/y],
+      ["number", /\d+(?![\w.])/y],
+      ["property", /--?[A-Za-z][\w-]*/y],
+      ["plain", /[A-Za-z_][\w.-]*/y],
+      ["operator", /&&|\|\||[|&;<>]=?|=/y],
+    ],
+    ini: [
+      ["comment", /^[ \t]*[;#][^\n]*/my],
+      ["section", /^[ \t]*\[[^\]\n]*\]/my],
+      ["property", /^[ \t]*[^=:\s;#[][^=:\n]*?(?=[ \t]*[=:])/my],
+      ["operator", /[=:]/y],
+      ["string", /"(?:[^"\\\n]|\\.)*"?|'[^'\n]*'?/y],
+      ["number", /-?\d+(?:\.\d+)?\b/y],
+      ["keyword", /(?:true|false|yes|no|on|off|null)\b/y],
+    ],
+  };
+
+  const HL_ALIASES = {
+    js: "javascript", mjs: "javascript", cjs: "javascript", jsx: "javascript", node: "javascript",
+    sh: "bash", shell: "bash", zsh: "bash", console: "bash",
+    jsonc: "json", json5: "json",
+    luau: "lua",
+    toml: "ini", cfg: "ini", conf: "ini", properties: "ini", dosini: "ini",
+  };
+
+  function resolveHighlightLang(lang) {
+    const l = String(lang || "").toLowerCase();
+    if (HL_LANGS[l]) return l;
+    return HL_ALIASES[l] || "";
+  }
+
+  function highlightCode(code, lang) {
+    // Always returns HTML-safe output; unknown languages are simply escaped.
+    const name = resolveHighlightLang(lang);
+    const src = String(code);
+    if (!name) return escapeHtml(src);
+
+    const rules = HL_LANGS[name];
+    let out = "";
+    let plain = "";
+    let pos = 0;
+    while (pos < src.length) {
+      let matched = false;
+      for (let r = 0; r < rules.length; r++) {
+        const re = rules[r][1];
+        re.lastIndex = pos;
+        const m = re.exec(src);
+        if (!m || !m[0]) continue;
+        const type = rules[r][0];
+        if (type === "plain") {
+          plain += m[0];
+        } else {
+          if (plain) { out += escapeHtml(plain); plain = ""; }
+          out += '<span class="hl-' + type + '">' + escapeHtml(m[0]) + "</span>";
+        }
+        pos += m[0].length;
+        matched = true;
+        break;
+      }
+      if (!matched) {
+        plain += src[pos];
+        pos++;
+      }
+    }
+    if (plain) out += escapeHtml(plain);
+    return out;
+  }
+
+  function codeHighlighter(opts) {
+    // opts.highlight: true (default) | false | function (code, lang) -> html
+    if (opts.highlight === false) return null;
+    if (typeof opts.highlight === "function") return opts.highlight;
+    return highlightCode;
+  }
+
+  /* =========================================================
+   * Front matter (YAML subset)
+   * ========================================================= */
+
+  // Supported: "key: value" maps (nested by indentation), "- item" sequences (including
+  // "- key: value" maps), flow [a, b] / {k: v}, quoted and plain scalars, numbers,
+  // booleans, null, | and > block scalars, and # comments. Anchors, tags and
+  // multi-document streams are not.
+  const YAML_KEY_RE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s:#"'\[{][^:#]*?)\s*:(?:\s+(.*))?$/;
+
+  function yamlError(msg, lineNo) {
+    return new Error("yaml: " + msg + (lineNo != null ? " (line " + (lineNo + 1) + ")" : ""));
+  }
+
+  function parseYamlDoubleQuoted(s) {
+    return s.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|.)/g, function (_m, e) {
+      if (e[0] === "u") return String.fromCharCode(parseInt(e.slice(1), 16));
+      return ({ n: "\n", t: "\t", r: "\r", "0": "\0" })[e] || e;
+    });
+  }
+
+  function parseYamlScalar(raw) {
+    const s = raw.trim();
+    if (s === "" || s === "~" || s === "null" || s === "Null" || s === "NULL") return null;
+    if (/^(true|True|TRUE)$/.test(s)) return true;
+    if (/^(false|False|FALSE)$/.test(s)) return false;
+    if (/^[-+]?\d+$/.test(s)) return parseInt(s, 10);
+    if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(s)) return parseFloat(s);
+    if (/^0x[0-9a-fA-F]+$/.test(s)) return parseInt(s, 16);
+    return s;
+  }
+
+  function parseYamlFlow(src, lineNo) {
+    // Recursive descent over a single-line flow collection / scalar.
+    let pos = 0;
+    const ws = () => { while (pos < src.length && /\s/.test(src[pos])) pos++; };
+
+    function quoted() {
+      const q = src[pos];
+      let end = pos + 1;
+      while (end < src.length) {
+        if (q === "\"" && src[end] === "\\") { end += 2; continue; }
+        if (src[end] === q) {
+          if (q === "'" && src[end + 1] === "'") { end += 2; continue; }
+          break;
+        }
+        end++;
+      }
+      if (end >= src.length) throw yamlError("unterminated string", lineNo);
+      const token = src.slice(pos, end + 1);
+      pos = end + 1;
+      return q === "\"" ? parseYamlDoubleQuoted(token) : token.slice(1, -1).replace(/''/g, "'");
+    }
+
+    function plain(stops) {
+      const start = pos;
+      while (pos < src.length && stops.indexOf(src[pos]) === -1) pos++;
+      return parseYamlScalar(src.slice(start, pos));
+    }
+
+    function value(stops) {
+      ws();
+      const c = src[pos];
+      if (c === "[") return seq();
+      if (c === "{") return map();
+      if (c === "\"" || c === "'") return quoted();
+      return plain(stops);
+    }
+
+    function seq() {
+      const out = [];
+      pos++;
+      ws();
+      if (src[pos] === "]") { pos++; return out; }
+      while (pos < src.length) {
+        out.push(value(",]"));
+        ws();
+        if (src[pos] === ",") { pos++; continue; }
+        if (src[pos] === "]") { pos++; return out; }
+        break;
+      }
+      throw yamlError("unterminated [ ]", lineNo);
+    }
+
+    function map() {
+      const out = {};
+      pos++;
+      ws();
+      if (src[pos] === "}") { pos++; return out; }
+      while (pos < src.length) {
+        ws();
+        const key = (src[pos] === "\"" || src[pos] === "'") ? quoted() : String(plain(":,}"));
+        ws();
+        if (src[pos] !== ":") throw yamlError("expected ':' in { }", lineNo);
+        pos++;
+        out[key] = value(",}");
+        ws();
+        if (src[pos] === ",") { pos++; continue; }
+        if (src[pos] === "}") { pos++; return out; }
+        break;
+      }
+      throw yamlError("unterminated { }", lineNo);
+    }
+
+    const result = value("");
+    ws();
+    if (pos < src.length) throw yamlError("unexpected '" + src.slice(pos) + "'", lineNo);
+    return result;
+  }
+
+  function parseYamlInline(raw, lineNo) {
+    const s = raw.trim();
+    if (/^["'[{]/.test(s)) {
+      // Allow a trailing comment after quoted/flow values.
+      const m = s.match(/^(.*?[\]}"'])\s+#.*$/);
+      return parseYamlFlow(m ? m[1] : s, lineNo);
+    }
+    return parseYamlScalar(s.replace(/(^|\s+)#.*$/, ""));
+  }
+
+  function parseYamlSubset(text) {
+    const lines = text.split("\n");
+    let i = 0;
+
+    const indentOf = (line) => line.match(/^ */)[0].length;
+    const isBlank = (line) => /^\s*(#.*)?$/.test(line);
+    const isSeqItem = (t) => /^-(\s|$)/.test(t);
+    const skipBlank = () => { while (i < lines.length && isBlank(lines[i])) i++; };
+
+    function node(minIndent) {
+      skipBlank();
+      if (i >= lines.length) return null;
+      const ind = indentOf(lines[i]);
+      if (ind < minIndent) return null;
+      return isSeqItem(lines[i].slice(ind)) ? seq(ind) : map(ind);
+    }
+
+    function blockScalar(header, parentIndent) {
+      const folded = header[0] === ">";
+      const chomp = header[1] || "";
+      const buf = [];
+      let blockIndent = null;
+      while (i < lines.length) {
+        const line = lines[i];
+        if (line.trim()) {
+          const ind = indentOf(line);
+          if (ind <= parentIndent) break;
+          if (blockIndent == null) blockIndent = ind;
+          if (ind < blockIndent) break;
+          buf.push(line.slice(blockIndent));
+        } else {
+          buf.push("");
+        }
+        i++;
+      }
+      let trailing = 0;
+      while (buf.length && buf[buf.length - 1] === "") { buf.pop(); trailing++; }
+      let out = folded
+          ? buf.join("\n").replace(/([^\n])\n(?=[^\n])/g, "$1 ")
+          : buf.join("\n");
+      if (chomp === "+") out += "\n".repeat(trailing + 1);
+      else if (chomp !== "-" && buf.length) out += "\n";
+      return out;
+    }
+
+    function valueAfterKey(rest, ind) {
+      if (rest == null || rest === "" || /^#/.test(rest)) {
+        skipBlank();
+        if (i >= lines.length) return null;
+        const ni = indentOf(lines[i]);
+        if (ni > ind) return node(ni);
+        // "key:\n- item" (sequence at the key's own indent) is valid YAML.
+        if (ni === ind && isSeqItem(lines[i].slice(ni))) return seq(ind);
+        return null;
+      }
+      if (/^[|>][+-]?(\s+#.*)?$/.test(rest)) return blockScalar(rest.trim(), ind);
+      return parseYamlInline(rest, i - 1);
+    }
+
+    function map(ind) {
+      const out = {};
+      while (true) {
+        skipBlank();
+        if (i >= lines.length) break;
+        const li = indentOf(lines[i]);
+        if (li < ind) break;
+        if (li > ind) throw yamlError("unexpected indentation", i);
+        const t = lines[i].slice(li);
+        if (isSeqItem(t)) break;
+        const m = t.match(YAML_KEY_RE);
+        if (!m) throw yamlError("expected 'key: value'", i);
+        const key = /^["']/.test(m[1]) ? parseYamlFlow(m[1], i) : m[1].trim();
+        i++;
+        out[key] = valueAfterKey(m[2], ind);
+      }
+      return out;
+    }
+
+    function seq(ind) {
+      const out = [];
+      while (true) {
+        skipBlank();
+        if (i >= lines.length) break;
+        const li = indentOf(lines[i]);
+        const t = lines[i].slice(li);
+        if (li !== ind || !isSeqItem(t)) {
+          if (li > ind) throw yamlError("unexpected indentation", i);
+          break;
+        }
+        const rest = t.replace(/^-\s*/, "");
+        if (!rest || /^#/.test(rest)) {
+          i++;
+          out.push(node(ind + 1));
+        } else if (YAML_KEY_RE.test(rest)) {
+          // "- key: value" opens a map whose keys line up after the dash.
+          const off = li + (t.length - rest.length);
+          lines[i] = " ".repeat(off) + rest;
+          out.push(map(off));
+        } else if (/^[|>][+-]?$/.test(rest)) {
+          i++;
+          out.push(blockScalar(rest, ind));
+        } else {
+          i++;
+          out.push(parseYamlInline(rest, i - 1));
+        }
+      }
+      return out;
+    }
+
+    const result = node(0);
+    skipBlank();
+    if (i < lines.length) throw yamlError("unexpected content", i);
+    return result;
+  }
+
+  function extractFrontMatter(md) {
+    // A leading "---" block closed by "---" or "...". Anything that doesn't parse as a
+    // YAML mapping is left in place and rendered as ordinary Markdown.
+    const src = normalizeNewlines(md).replace(/^\uFEFF/, "");
+    const m = src.match(/^---[ \t]*\n([\s\S]*?)\n?(?:---|\.\.\.)[ \t]*(?:\n|$)/);
+    if (!m) return { meta: {}, body: src };
+    let meta;
+    try {
+      meta = m[1].trim() ? parseYamlSubset(m[1]) : {};
+    } catch (e) {
+      return { meta: {}, body: src };
+    }
+    if (!meta || typeof meta !== "object" || Array.isArray(meta)) return { meta: {}, body: src };
+    return { meta: meta, body: src.slice(m[0].length) };
+  }
+
+  /* =========================================================
+   * Callouts (admonitions)
+   * ========================================================= */
+
+  // `::: warning Title` ... `:::` containers and GitHub-style `> [!WARNING]` alerts.
+  // Icons are plain characters (not SVG) so they survive the sanitizer.
+  const CALLOUT_KINDS = {
+    note: { icon: "\u{1F4DD}", title: "\u8bf4\u660e" },       // 说明
+    tip: { icon: "\u{1F4A1}", title: "\u63d0\u793a" },        // 提示
+    info: { icon: "\u2139\uFE0F", title: "\u4fe1\u606f" },    // 信息
+    warning: { icon: "\u26A0\uFE0F", title: "\u8b66\u544a" }, // 警告
+    danger: { icon: "\u26D4", title: "\u5371\u9669" },         // 危险
+  };
+
+  const CALLOUT_ALIASES = {
+    important: "info",
+    hint: "tip",
+    caution: "danger",
+    error: "danger",
+    attention: "warning",
+  };
+
+  const CALLOUT_ALERT_RE = /^\[!([A-Za-z]+)\][ \t]*(.*)$/;
+
+  function resolveCalloutKind(name) {
+    const k = String(name || "").toLowerCase();
+    if (CALLOUT_KINDS[k]) return k;
+    return CALLOUT_ALIASES[k] || "";
+  }
+
+  function renderCalloutOpen(kind, title, opts) {
+    // { calloutTitles: { warning: "Warning" } } overrides the default titles.
+    const def = CALLOUT_KINDS[kind];
+    const titles = (opts && opts.calloutTitles) || {};
+    const label = titles[kind] || def.title;
+    const text = String(title || "").trim() || label;
+    return '<div class="md-callout md-callout-' + kind + '" role="note" aria-label="' + escapeAttr(label) + '">\n' +
+        '<p class="md-callout-title"><span class="md-callout-icon" aria-hidden="true">' + def.icon + "</span>" +
+        escapeHtml(text) + "</p>";
+  }
+
+  function renderCalloutClose() {
+    return "</div>";
+  }
+
+  function useCallouts(mdIt, container, opts) {
+    // `::: kind title` via markdown-it-container (one registration per kind/alias),
+    // and `> [!KIND]` alerts via a core rule that tags the blockquote tokens.
+    if (container) {
+      Object.keys(CALLOUT_KINDS).concat(Object.keys(CALLOUT_ALIASES)).forEach((name) => {
+        const kind = resolveCalloutKind(name);
+        const re = new RegExp("^" + name + "(?:\\s+(.*))?$", "i");
+        try {
+          mdIt.use(container, name, {
+            validate: (params) => re.test(params.trim()),
+            render: (tokens, idx) => {
+              const token = tokens[idx];
+              if (token.nesting !== 1) return renderCalloutClose() + "\n";
+              const m = token.info.trim().match(re);
+              return renderCalloutOpen(kind, m && m[1], opts) + "\n";
+            },
+          });
+        } catch (e) { /* ignore */ }
+      });
+    }
+
+    mdIt.core.ruler.before("inline", "md_callout_alerts", (state) => {
+      const tokens = state.tokens;
+      for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i].type !== "blockquote_open") continue;
+        const inline = tokens[i + 2];
+        if (!inline || tokens[i + 1].type !== "paragraph_open" || inline.type !== "inline") continue;
+        const nl = inline.content.indexOf("\n");
+        const first = nl === -1 ? inline.content : inline.content.slice(0, nl);
+        const alert = first.trim().match(CALLOUT_ALERT_RE);
+        const kind = alert ? resolveCalloutKind(alert[1]) : "";
+        if (!kind) continue;
+
+        let close = i + 1;
+        while (close < tokens.length &&
+            !(tokens[close].type === "blockquote_close" && tokens[close].level === tokens[i].level)) close++;
+        tokens[i].meta = Object.assign({}, tokens[i].meta, { callout: kind, title: alert[2] });
+        if (tokens[close]) tokens[close].meta = Object.assign({}, tokens[close].meta, { callout: kind });
+
+        // Drop the marker line; drop the paragraph entirely if nothing else was on it.
+        if (nl === -1) tokens.splice(i + 1, 3);
+        else inline.content = inline.content.slice(nl + 1);
       }
-      return "<a" + a + ">";
     });
+
+    const defaultQuoteOpen = mdIt.renderer.rules.blockquote_open || function (tokens, idx, _o, _e, self) {
+      return self.renderToken(tokens, idx, _o);
+    };
+    const defaultQuoteClose = mdIt.renderer.rules.blockquote_close || function (tokens, idx, _o, _e, self) {
+      return self.renderToken(tokens, idx, _o);
+    };
+    mdIt.renderer.rules.blockquote_open = function (tokens, idx, _o, env, self) {
+      const meta = tokens[idx].meta;
+      if (meta && meta.callout) return renderCalloutOpen(meta.callout, meta.title, opts) + "\n";
+      return defaultQuoteOpen(tokens, idx, _o, env, self);
+    };
+    mdIt.renderer.rules.blockquote_close = function (tokens, idx, _o, env, self) {
+      const meta = tokens[idx].meta;
+      if (meta && meta.callout) return renderCalloutClose() + "\n";
+      return defaultQuoteClose(tokens, idx, _o, env, self);
+    };
+  }
+
+  /* =========================================================
+   * API reference blocks
+   * ========================================================= */
+
+  // A ```api fence describes one endpoint in YAML (or JSON) and renders as a reference
+  // card with a parameter table, in both renderers:
+  //   name: fams.registerNode
+  //   summary: Registers this computer as a node.     (inline Markdown; alias: description)
+  //   params:                                          (list, or a map keyed by param name)
+  //     - { name: id, type: string, required: true, description: Unique node id }
+  //     - { name: inDim, type: number, default: 8 }
+  //   returns: table                                   (a type, or { type, description })
+  //   errors: [Not connected to a central computer]    (strings, or { code, description })
+  //   example: |                                       (code; exampleLang defaults to lua)
+  //     ccio.invokeApi("fams.registerNode", { id = "A" })
+  // Cards get an "api-<name>" id. { apiLabels: { param: "Parameter", ... } } overrides
+  // the default (Chinese) labels.
+
+  const API_LABELS = {
+    param: "\u53c2\u6570",              // 参数
+    type: "\u7c7b\u578b",               // 类型
+    default: "\u9ed8\u8ba4\u503c",      // 默认值
+    required: "\u5fc5\u586b",           // 必填
+    description: "\u8bf4\u660e",        // 说明
+    returns: "\u8fd4\u56de\u503c",      // 返回值
+    errors: "\u9519\u8bef",             // 错误
+    example: "\u793a\u4f8b",            // 示例
+    yes: "\u662f",                      // 是
+    no: "\u5426",                       // 否
+  };
+
+  function apiText(v) {
+    if (v == null) return "";
+    return typeof v === "object" ? JSON.stringify(v) : String(v);
+  }
+
+  function parseApiSpec(source) {
+    // -> { name, summary, params, returns, errors, example, exampleLang }; throws on bad input.
+    const src = normalizeNewlines(source).trim();
+    const data = /^[{[]/.test(src) ? JSON.parse(src) : parseYamlSubset(src);
+    if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("expected a mapping");
+    if (typeof data.name !== "string" || !data.name.trim()) throw new Error("missing name");
+
+    let params = data.params == null ? [] : data.params;
+    if (params && typeof params === "object" && !Array.isArray(params)) {
+      params = Object.keys(params).map(name => {
+        const p = params[name];
+        return (p && typeof p === "object") ? Object.assign({ name: name }, p) : { name: name, type: p };
+      });
+    }
+    if (!Array.isArray(params)) throw new Error("params must be a list");
+    params = params.map(p => {
+      if (typeof p === "string") p = { name: p };
+      if (!p || typeof p !== "object" || p.name == null) throw new Error("every param needs a name");
+      return {
+        name: apiText(p.name),
+        type: apiText(p.type),
+        default: p.default == null ? null : apiText(p.default),
+        required: typeof p.required === "boolean" ? p.required : null,
+        description: apiText(p.description),
+      };
+    });
+
+    let returns = null;
+    if (data.returns != null) {
+      returns = (typeof data.returns === "object" && !Array.isArray(data.returns))
+        ? { type: apiText(data.returns.type), description: apiText(data.returns.description) }
+        : { type: apiText(data.returns), description: "" };
+    }
+
+    const errors = (data.errors == null ? [] : [].concat(data.errors)).map(e => {
+      if (e && typeof e === "object") return { code: apiText(e.code || e.name), description: apiText(e.description) };
+      return { code: "", description: apiText(e) };
+    });
+
+    return {
+      name: data.name.trim(),
+      summary: apiText(data.summary != null ? data.summary : data.description),
+      params: params,
+      returns: returns,
+      errors: errors,
+      example: apiText(data.example).replace(/\n$/, ""),
+      exampleLang: apiText(data.exampleLang) || "lua",
+    };
+  }
+
+  function apiNode(source) {
+    // Fallback-parser AST node; a spec that doesn't parse keeps its source for display.
+    try {
+      return Object.assign({ type: "api", id: "" }, parseApiSpec(source));
+    } catch (e) {
+      return { type: "api", error: e.message, value: source };
+    }
+  }
+
+  function renderApiCard(spec, id, opts, inline) {
+    // `inline` renders summaries and descriptions: source strings for markdown-it,
+    // inline nodes for the fallback renderer.
+    const has = (v) => !!(v && v.length);
+    const labels = Object.assign({}, API_LABELS, opts && opts.apiLabels);
+    const label = (key) => escapeHtml(labels[key]);
+    const code = (s) => s ? "<code>" + escapeHtml(s) + "</code>" : "";
+    let html = '<section class="md-api" id="' + escapeAttr(id) + '">\n' +
+        '<p class="md-api-name">' + code(spec.name) + "</p>\n";
+    if (has(spec.summary)) html += '<p class="md-api-summary">' + inline(spec.summary) + "</p>\n";
+
+    if (spec.params.length) {
+      const rows = spec.params.map(p => {
+        const req = p.required == null ? "" : label(p.required ? "yes" : "no");
+        return "<tr><td>" + code(p.name) + "</td><td>" + code(p.type) + "</td><td>" + code(p.default) + "</td>" +
+            '<td class="md-api-required">' + req + "</td><td>" + inline(p.description) + "</td></tr>";
+      }).join("");
+      html += '<table class="md-api-params"><thead><tr><th>' + label("param") + "</th><th>" + label("type") +
+          "</th><th>" + label("default") + "</th><th>" + label("required") + "</th><th>" + label("description") +
+          "</th></tr></thead><tbody>" + rows + "</tbody></table>\n";
+    }
+    if (spec.returns) {
+      const parts = [code(spec.returns.type), has(spec.returns.description) ? inline(spec.returns.description) : ""];
+      html += '<p class="md-api-returns"><strong>' + label("returns") + "</strong> " + parts.filter(Boolean).join(" ") + "</p>\n";
+    }
+    if (spec.errors.length) {
+      html += '<div class="md-api-errors"><p><strong>' + label("errors") + "</strong></p><ul>" + spec.errors.map(e => {
+        return "<li>" + [code(e.code), has(e.description) ? inline(e.description) : ""].filter(Boolean).join(" \u2014 ") + "</li>";
+      }).join("") + "</ul></div>\n";
+    }
+    if (spec.example) {
+      const highlight = codeHighlighter(opts || {});
+      const lang = spec.exampleLang;
+      html += '<div class="md-api-example"><p><strong>' + label("example") + "</strong></p>" +
+          '<pre><code class="language-' + escapeAttr(lang) + '">' +
+          (highlight ? highlight(spec.example, lang) : escapeHtml(spec.example)) + "</code></pre></div>\n";
+    }
+    return html + "</section>";
+  }
+
+  function renderApiError(node) {
+    return '<div class="md-api md-api-invalid"><p class="md-api-error">' + escapeHtml("api: " + node.error) + "</p>" +
+        "<pre><code>" + escapeHtml(node.value) + "</code></pre></div>";
   }
 
   /* =========================================================
    * Preferred renderer: markdown-it (if present)
    * ========================================================= */
 
+  function pluginFunction(p, fnName) {
+    // Plugin modules export the function itself, { default: fn } or { [fnName]: fn }.
+    if (typeof p === "function") return p;
+    if (p && typeof p.default === "function") return p.default;
+    if (p && fnName && typeof p[fnName] === "function") return p[fnName];
+    return null;
+  }
+
+  function markdownItFactory(opts) {
+    // { markdownIt: require("markdown-it") } wins and { markdownIt: false } forces the
+    // built-in parser; otherwise a page-level window.markdownit is used when present.
+    if (opts.markdownIt === false) return null;
+    if (opts.markdownIt) return pluginFunction(opts.markdownIt);
+    return (typeof window !== "undefined" ? window.markdownit : undefined) ||
+        (typeof markdownit !== "undefined" ? markdownit : undefined) || null;
+  }
+
   function renderWithMarkdownIt(md, options) {
     const opts = options || {};
-    const mdItFactory = (typeof window !== "undefined" ? window.markdownit : undefined) ||
-        (typeof markdownit !== "undefined" ? markdownit : undefined);
+    const mdItFactory = markdownItFactory(opts);
 
     if (!mdItFactory) return null;
 
@@ -115,11 +1125,13 @@
     const typographer = !!opts.typographer;
 
     // Create instance
+    const highlight = codeHighlighter(opts);
     const mdIt = mdItFactory({
       html: allowHtml,
       linkify: linkify,
       typographer: typographer,
       breaks: !!opts.breaks,   // treat \n as <br>
+      highlight: highlight ? function (str, lang) { return highlight(str, lang); } : null,
     });
 
     // Enable CommonMark features + GFM-ish additions
@@ -130,68 +1142,155 @@
       mdIt.enable(["table", "strikethrough"]);
     }
 
-    // Plugins (optional): if you include them on the page they will be used automatically.
+    // Plugins (optional): passed as { markdownItPlugins: { footnote: require("markdown-it-footnote") } },
+    // or, for plain <script> pages, picked up from their globals when included.
     // This keeps mdToHtml.js dependency-free while allowing full modern MD support.
-    const maybeUse = (globalName, pluginFnName) => {
-      const g = (typeof window !== "undefined" ? window[globalName] : undefined);
-      if (typeof g === "function") {
-        try { mdIt.use(g); } catch (e) { /* ignore */ }
-        return true;
-      }
-      // Some plugins export object with default
-      if (g && typeof g.default === "function") {
-        try { mdIt.use(g.default); } catch (e) { /* ignore */ }
-        return true;
-      }
-      // Alternative: plugin attached under a name
-      if (g && pluginFnName && typeof g[pluginFnName] === "function") {
-        try { mdIt.use(g[pluginFnName]); } catch (e) { /* ignore */ }
-        return true;
-      }
-      return false;
+    const plugins = opts.markdownItPlugins || {};
+    const resolvePlugin = (name, globalName) => {
+      if (plugins[name]) return pluginFunction(plugins[name], globalName);
+      return pluginFunction(typeof window !== "undefined" ? window[globalName] : undefined, globalName);
+    };
+    const maybeUse = (name, globalName) => {
+      const plugin = resolvePlugin(name, globalName);
+      if (!plugin) return false;
+      try { mdIt.use(plugin); } catch (e) { /* ignore */ }
+      return true;
     };
 
     // Common useful plugins (load them if present):
     // - markdown-it-footnote, markdown-it-task-lists, markdown-it-deflist,
     // - markdown-it-sub, markdown-it-sup, markdown-it-mark, markdown-it-abbr,
     // - markdown-it-attrs, markdown-it-container
-    maybeUse("markdownitFootnote");
-    maybeUse("markdownitTaskLists");
-    maybeUse("markdownitDeflist");
-    maybeUse("markdownitSub");
-    maybeUse("markdownitSup");
-    maybeUse("markdownitMark");
-    maybeUse("markdownitAbbr");
-    maybeUse("markdownitAttrs");
-    maybeUse("markdownitContainer");
-
-    // Safe link policy: validate hrefs (prevent javascript:)
+    maybeUse("footnote", "markdownitFootnote");
+    maybeUse("taskLists", "markdownitTaskLists");
+    maybeUse("deflist", "markdownitDeflist");
+    maybeUse("sub", "markdownitSub");
+    maybeUse("sup", "markdownitSup");
+    maybeUse("mark", "markdownitMark");
+    maybeUse("abbr", "markdownitAbbr");
+    maybeUse("attrs", "markdownitAttrs");
+    useCallouts(mdIt, resolvePlugin("container", "markdownitContainer"), opts);
+
+    // Safe link policy: validate hrefs (prevent javascript:) and add target/rel.
     // Override link_open renderer rule.
-    if (!opts.allowUnsafeLinks) {
-      const defaultRender = mdIt.renderer.rules.link_open || function (tokens, idx, _o, _e, self) {
-        return self.renderToken(tokens, idx, _o);
-      };
-      mdIt.renderer.rules.link_open = function (tokens, idx, _o, env, self) {
-        const token = tokens[idx];
-        const hrefIdx = token.attrIndex("href");
-        if (hrefIdx >= 0) {
-          const href = token.attrs[hrefIdx][1];
-          const safe = safeLinkHref(href, false);
-          token.attrs[hrefIdx][1] = safe || "#";
-        }
-        return defaultRender(tokens, idx, _o, env, self);
-      };
+    const defaultRender = mdIt.renderer.rules.link_open || function (tokens, idx, _o, _e, self) {
+      return self.renderToken(tokens, idx, _o);
+    };
+    mdIt.renderer.rules.link_open = function (tokens, idx, _o, env, self) {
+      const token = tokens[idx];
+      const hrefIdx = token.attrIndex("href");
+      if (hrefIdx >= 0 && !opts.allowUnsafeLinks) {
+        const href = token.attrs[hrefIdx][1];
+        const safe = safeLinkHref(href, false);
+        token.attrs[hrefIdx][1] = safe || "#";
+      }
+      if (hrefIdx >= 0 && opts.baseUrl) {
+        token.attrs[hrefIdx][1] = resolveUrl(token.attrs[hrefIdx][1], opts.baseUrl);
+      }
+      if (opts.linkTargetBlank !== false) {
+        const attrs = token.attrs ? token.attrs.slice() : [];
+        applyLinkTarget(attrs);
+        token.attrs = attrs;
+      }
+      return defaultRender(tokens, idx, _o, env, self);
+    };
+
+    // Relative image sources follow { baseUrl } like links do.
+    const defaultImage = mdIt.renderer.rules.image || function (tokens, idx, _o, _e, self) {
+      return self.renderToken(tokens, idx, _o);
+    };
+    mdIt.renderer.rules.image = function (tokens, idx, _o, env, self) {
+      const token = tokens[idx];
+      const srcIdx = token.attrIndex("src");
+      if (srcIdx >= 0 && opts.baseUrl) token.attrs[srcIdx][1] = resolveUrl(token.attrs[srcIdx][1], opts.baseUrl);
+      return defaultImage(tokens, idx, _o, env, self);
+    };
+
+    // Raw HTML ids are prefixed like on the fallback path (see prefixRawIds).
+    if (allowHtml && opts.sanitize !== false) {
+      ["html_block", "html_inline"].forEach(type => {
+        const defaultRaw = mdIt.renderer.rules[type] || function (tokens, idx) { return tokens[idx].content; };
+        mdIt.renderer.rules[type] = function (tokens, idx, _o, env, self) {
+          return prefixRawIds(defaultRaw(tokens, idx, _o, env, self));
+        };
+      });
     }
 
-    let html = mdIt.render(normalizeNewlines(md));
-    html = addRelTargetToLinks(html, { linkTargetBlank: opts.linkTargetBlank !== false });
-    return html;
+    // Heading anchors: stable, de-duplicated ids collected into env.headings.
+    const defaultHeadingOpen = mdIt.renderer.rules.heading_open || function (tokens, idx, _o, _e, self) {
+      return self.renderToken(tokens, idx, _o);
+    };
+    mdIt.renderer.rules.heading_open = function (tokens, idx, _o, env, self) {
+      const token = tokens[idx];
+      const inline = tokens[idx + 1];
+      const text = (inline && inline.children ? inline.children : [])
+          .filter(t => t.type === "text" || t.type === "code_inline")
+          .map(t => t.content)
+          .join("");
+      const id = token.attrGet("id") || env.slug(text);
+      token.attrSet("id", id);
+      env.headings.push({ level: Number(token.tag.slice(1)), text: text, id: id });
+      return defaultHeadingOpen(tokens, idx, _o, env, self);
+    };
+
+    // ```api fences render as reference cards (see parseApiSpec).
+    const defaultFence = mdIt.renderer.rules.fence || function (tokens, idx, _o, _e, self) {
+      return self.renderToken(tokens, idx, _o);
+    };
+    mdIt.renderer.rules.fence = function (tokens, idx, _o, env, self) {
+      const token = tokens[idx];
+      if (token.info.trim().split(/\s+/)[0].toLowerCase() !== "api") return defaultFence(tokens, idx, _o, env, self);
+      const node = apiNode(token.content);
+      if (node.error) return renderApiError(node) + "\n";
+      return renderApiCard(node, env.slug("api-" + node.name), opts, (text) => mdIt.renderInline(text, env)) + "\n";
+    };
+
+    const env = createEnv();
+    let html = mdIt.render(normalizeNewlines(md), env);
+    if (allowHtml && opts.sanitize !== false) html = linkRawIds(sanitizeHtml(html, opts));
+    return applyToc(html, env.headings, opts);
   }
 
   /* =========================================================
-   * Fallback renderer: lightweight parser (no deps)
+   * Fallback parser: lightweight Markdown -> AST (no deps)
    * ========================================================= */
 
+  /*
+   * AST returned by mdToHtml.parse(). Plain JSON-serializable objects; every node
+   * has a `type`, containers keep their content in `children`.
+   *
+   *   root        { children: [block], footnotes: [footnote], headings: [{ level, text, id }], meta }
+   *
+   * Blocks:
+   *   heading     { level: 1-6, id, children: [inline] }
+   *   paragraph   { children: [inline] }
+   *   code        { lang, value }                    (fenced or indented; lang "" when none)
+   *   blockquote  { children: [block] }
+   *   callout     { kind, title, children: [block] } (kind: note | tip | info | warning | danger)
+   *   list        { ordered, start, loose, children: [listItem] }
+   *   listItem    { checked: true | false | null, loose, children: [block] }
+   *   table       { align: ["left" | "center" | "right" | ""], children: [tableRow] }  (row 0 is the header)
+   *   tableRow    { children: [tableCell] }
+   *   tableCell   { header, align, children: [inline] }
+   *   hr          { }
+   *   html        { value }                          (raw HTML, only with allowHtml)
+   *   api         { id, name, summary: [inline], params, returns, errors, example, exampleLang }
+   *               (```api fence; params: [{ name, type, default, required, description: [inline] }],
+   *               returns: { type, description: [inline] } | null, errors: [{ code, description: [inline] }];
+   *               { error, value } instead when the spec doesn't parse)
+   *   footnote    { label, index, refCount, children: [block] }  (root.footnotes, numbered by first reference)
+   *
+   * Inlines:
+   *   text        { value }
+   *   inlineCode  { value }
+   *   emphasis, strong, delete  { children: [inline] }
+   *   link        { url, title, children: [inline] } (url as written; baseUrl is applied when rendering)
+   *   image       { url, alt, title }
+   *   footnoteRef { label, index, ref }              (ref: 0 for the first reference to a note, then 1, 2, ...)
+   *   html        { value }                          (raw inline tag, only with allowHtml)
+   *   break       { }                                (line break inside a paragraph)
+   */
+
   function splitLines(md) {
     return normalizeNewlines(md).split("\n");
   }
@@ -240,40 +1339,166 @@
     return { type: "blockquote", lines: buf, nextIndex: j };
   }
 
-  function parseList(lines, i) {
-    // Supports basic nesting using indentation (best effort)
-    const start = lines[i];
-    const u = start.match(/^(\s*)([-+*])\s+(.+)$/);
-    const o = start.match(/^(\s*)(\d+)[.)]\s+(.+)$/);
-    if (!u && !o) return null;
+  function indentWidth(line) {
+    // Leading indentation in columns (tabs advance to the next multiple of 4).
+    let col = 0;
+    for (let k = 0; k < line.length; k++) {
+      const c = line[k];
+      if (c === " ") col++;
+      else if (c === "\t") col += 4 - (col % 4);
+      else break;
+    }
+    return col;
+  }
 
-    const isOrdered = !!o;
-    const indent0 = (u ? u[1].length : o[1].length);
-    const items = [];
+  function stripIndent(line, width) {
+    // Remove up to `width` columns of leading whitespace.
+    let col = 0;
+    let k = 0;
+    while (k < line.length && col < width) {
+      const c = line[k];
+      if (c === " ") col++;
+      else if (c === "\t") col += 4 - (col % 4);
+      else break;
+      k++;
+    }
+    // A tab that overshoots keeps its remainder as spaces.
+    return (col > width ? " ".repeat(col - width) : "") + line.slice(k);
+  }
+
+  function parseListMarker(line) {
+    // "- text", "* text", "+ text", "1. text", "1) text" (the text may be empty)
+    const m = line.match(/^(\s*)([-+*]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/);
+    if (!m) return null;
+    const ordered = /\d/.test(m[2]);
+    const indent = indentWidth(m[1]);
+    // CommonMark: 1-4 spaces after the marker; 5+ means indented code, so only one counts.
+    const pad = m[3] ? (m[3].length > 4 ? 1 : m[3].length) : 1;
+    const text = m[3] && m[3].length > 4 ? m[3].slice(1) + m[4] : (m[4] || "");
+    return {
+      indent: indent,
+      ordered: ordered,
+      bullet: m[2].slice(-1),
+      start: ordered ? parseInt(m[2], 10) : null,
+      contentIndent: indent + m[2].length + pad,
+      text: text,
+    };
+  }
+
+  function startsBlock(line) {
+    // Lines that may not be absorbed as a lazy paragraph continuation.
+    return !!(parseFence(line) || parseAtxHeading(line.trim()) || isThematicBreak(line) ||
+        /^\s*>/.test(line) || parseListMarker(line) || parseContainerMarker(line));
+  }
+
+  function parseContainerMarker(line) {
+    // ::: kind [title]  (only known callout kinds open a container)
+    const m = line.match(/^ {0,3}(:{3,})[ \t]*([A-Za-z]+)(?:[ \t]+(.*?))?[ \t]*$/);
+    if (!m) return null;
+    const kind = resolveCalloutKind(m[2]);
+    return kind ? { marker: m[1], kind: kind, title: m[3] || "" } : null;
+  }
 
+  function parseContainer(lines, i) {
+    // Collects lines up to the first closing ::: at least as long as the opener
+    // (nest containers by using a longer outer marker, as markdown-it-container does).
+    const open = parseContainerMarker(lines[i]);
+    if (!open) return null;
+    const buf = [];
+    let j = i + 1;
+    while (j < lines.length) {
+      const end = lines[j].match(/^ {0,3}(:{3,})[ \t]*$/);
+      if (end && end[1].length >= open.marker.length) break;
+      buf.push(lines[j]);
+      j++;
+    }
+    return {
+      kind: open.kind,
+      title: open.title,
+      lines: buf,
+      nextIndex: (j < lines.length) ? (j + 1) : j,
+    };
+  }
+
+  function parseList(lines, i, opts, env) {
+    // Builds a list tree: each item's content is re-parsed as blocks, so nested lists,
+    // code fences, quotes and tables inside items work as they do at the top level.
+    if (isThematicBreak(lines[i])) return null;
+    const first = parseListMarker(lines[i]);
+    if (!first) return null;
+
+    const items = [];
+    let loose = false;
     let j = i;
+
     while (j < lines.length) {
-      const line = lines[j];
-      if (!line.trim()) break;
+      if (isThematicBreak(lines[j])) break;
+      const marker = parseListMarker(lines[j]);
+      if (!marker || marker.ordered !== first.ordered || marker.bullet !== first.bullet) break;
+
+      let text = marker.text;
+      let checked = null;
+      const task = text.match(/^\[( |x|X)\]\s+(.*)$/);
+      if (task) {
+        checked = (task[1].toLowerCase() === "x");
+        text = task[2];
+      }
 
-      const mu = line.match(/^(\s*)([-+*])\s+(.+)$/);
-      const mo = line.match(/^(\s*)(\d+)[.)]\s+(.+)$/);
+      const buf = [text];
+      let fence = parseFence(text);
+      let k = j + 1;
+      while (k < lines.length) {
+        const line = lines[k];
+        if (!line.trim()) { buf.push(""); k++; continue; }
+
+        if (indentWidth(line) >= marker.contentIndent) {
+          const inner = stripIndent(line, marker.contentIndent);
+          if (fence) {
+            if (new RegExp("^\\s*" + fence.marker + "\\s*$").test(inner)) fence = null;
+          } else {
+            fence = parseFence(inner);
+          }
+          buf.push(inner);
+          k++;
+          continue;
+        }
 
-      if (isOrdered) {
-        if (!mo) break;
-        const ind = mo[1].length;
-        if (ind !== indent0) break;
-        items.push(mo[3]);
-      } else {
-        if (!mu) break;
-        const ind = mu[1].length;
-        if (ind !== indent0) break;
-        items.push(mu[3]);
+        // Lazy continuation: an unindented line directly after paragraph text.
+        if (!fence && buf[buf.length - 1].trim() && !startsBlock(line)) {
+          buf.push(line.trim());
+          k++;
+          continue;
+        }
+        break;
+      }
+
+      // Trailing blank lines belong between items, not to this one.
+      let trailing = 0;
+      while (buf.length > 1 && !buf[buf.length - 1].trim()) { buf.pop(); trailing++; }
+
+      const blocks = parseBlocks(buf, opts, env);
+      if (blocks.some((b, idx) => idx > 0 && b.blankBefore)) loose = true;
+      items.push({ type: "listItem", checked: checked, loose: false, children: blocks });
+
+      j = k;
+      if (trailing && j < lines.length) {
+        const next = parseListMarker(lines[j]);
+        if (next && !isThematicBreak(lines[j]) &&
+            next.ordered === first.ordered && next.bullet === first.bullet) {
+          loose = true;
+        }
       }
-      j++;
     }
 
-    return { type: "list", ordered: isOrdered, items: items, nextIndex: j };
+    items.forEach(item => { item.loose = loose; });
+    return {
+      type: "list",
+      ordered: first.ordered,
+      start: first.start,
+      loose: loose,
+      children: items,
+      nextIndex: j,
+    };
   }
 
   function parseTable(lines, i) {
@@ -294,7 +1519,6 @@
       return r.split("|").map(c => c.trim());
     };
 
-    const headers = parseRow(headerLine);
     const aligns = parseRow(sepLine).map(c => {
       const t = c.trim();
       const left = t.startsWith(":");
@@ -304,15 +1528,94 @@
       if (left) return "left";
       return "";
     });
+    const row = (line, header) => ({
+      type: "tableRow",
+      children: parseRow(line).map((c, idx) => ({ type: "tableCell", header: header, align: aligns[idx] || "", inline: c })),
+    });
 
-    const rows = [];
+    const rows = [row(headerLine, true)];
     let j = i + 2;
     while (j < lines.length && lines[j].includes("|") && lines[j].trim()) {
-      rows.push(parseRow(lines[j]));
+      rows.push(row(lines[j], false));
       j++;
     }
 
-    return { type: "table", headers, aligns, rows, nextIndex: j };
+    return { type: "table", align: aligns, children: rows, nextIndex: j };
+  }
+
+  // Link reference definitions ([label]: url "title") and footnote definitions
+  // ([^label]: text, continued by indented or lazy lines). Both are document-wide.
+  const LINK_DEF_RE = /^ {0,3}\[([^\]^][^\]]*)\]:\s*(<[^>]*>|\S+)(?:\s+("[^"]*"|'[^']*'|\([^)]*\)))?\s*$/;
+  const FOOTNOTE_DEF_RE = /^ {0,3}\[\^([^\]\s]+)\]:\s?(.*)$/;
+
+  function normalizeLabel(label) {
+    return String(label).trim().replace(/\s+/g, " ").toLowerCase();
+  }
+
+  function parseDefinition(lines, i, opts, env) {
+    const line = lines[i];
+
+    const fn = line.match(FOOTNOTE_DEF_RE);
+    if (fn) {
+      const buf = [fn[2]];
+      let j = i + 1;
+      while (j < lines.length) {
+        const l = lines[j];
+        if (!l.trim()) { buf.push(""); j++; continue; }
+        if (indentWidth(l) >= 4) { buf.push(stripIndent(l, 4)); j++; continue; }
+        if (buf[buf.length - 1].trim() && !startsBlock(l) && !FOOTNOTE_DEF_RE.test(l)) {
+          buf.push(l.trim());
+          j++;
+          continue;
+        }
+        break;
+      }
+      while (buf.length > 1 && !buf[buf.length - 1].trim()) buf.pop();
+
+      const key = normalizeLabel(fn[1]);
+      if (!(key in env.noteDefs)) {
+        // Becomes a root.footnotes entry once referenced (index/refCount are set then).
+        env.noteDefs[key] = { type: "footnote", label: fn[1], index: 0, refCount: 0, children: parseBlocks(buf, opts, env) };
+      }
+      return { nextIndex: j };
+    }
+
+    const def = line.match(LINK_DEF_RE);
+    if (def) {
+      const url = def[2][0] === "<" ? def[2].slice(1, -1) : def[2];
+      const key = normalizeLabel(def[1]);
+      // First definition wins (CommonMark).
+      if (!(key in env.linkRefs)) env.linkRefs[key] = { url: url, title: def[3] ? def[3].slice(1, -1) : "" };
+      return { nextIndex: i + 1 };
+    }
+    return null;
+  }
+
+  // CommonMark HTML blocks: raw-text tags and comments run to their closing marker,
+  // block-level tags run to the next blank line. Only parsed when allowHtml is set.
+  const HTML_BLOCK_RAW_RE = /^ {0,3}<(script|pre|style|textarea)(\s|>|$)/i;
+  const HTML_BLOCK_TAG_RE = new RegExp("^ {0,3}</?(address|article|aside|blockquote|body|center|details|dialog|dir|div|dl|dd|dt|" +
+      "fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|iframe|li|main|menu|nav|ol|p|section|summary|" +
+      "table|tbody|td|tfoot|th|thead|tr|ul)(\\s|/?>|$)", "i");
+
+  function parseHtmlBlock(lines, i) {
+    const line = lines[i];
+    let endRe = null;
+    const raw = line.match(HTML_BLOCK_RAW_RE);
+    if (raw) endRe = new RegExp("</" + raw[1] + ">", "i");
+    else if (/^ {0,3}<!--/.test(line)) endRe = /-->/;
+    else if (!HTML_BLOCK_TAG_RE.test(line)) return null;
+
+    const buf = [];
+    let j = i;
+    while (j < lines.length) {
+      const l = lines[j];
+      if (!endRe && !l.trim()) break;
+      buf.push(l);
+      j++;
+      if (endRe && endRe.test(l)) break;
+    }
+    return { type: "html", value: buf.join("\n"), nextIndex: j };
   }
 
   function parseIndentedCode(lines, i) {
@@ -327,10 +1630,25 @@
       buf.push(line.replace(/^( {4}|\t)/, ""));
       j++;
     }
-    return { type: "code", lang: "", content: buf.join("\n"), nextIndex: j };
+    return { type: "code", lang: "", value: buf.join("\n"), nextIndex: j };
+  }
+
+  function parseFencedCode(lines, i) {
+    const fence = parseFence(lines[i]);
+    if (!fence) return null;
+    const buf = [];
+    let j = i + 1;
+    while (j < lines.length) {
+      const l = lines[j];
+      const end = l.match(new RegExp("^\\s*" + fence.marker.replace(/`/g, "\\`") + "\\s*$"));
+      if (end) break;
+      buf.push(l);
+      j++;
+    }
+    return { type: "code", lang: fence.lang, value: buf.join("\n"), nextIndex: (j < lines.length) ? (j + 1) : j };
   }
 
-  function parseParagraph(lines, i) {
+  function parseParagraph(lines, i, opts) {
     const buf = [];
     let j = i;
     while (j < lines.length) {
@@ -339,235 +1657,660 @@
 
       // Stop if starts a block element
       if (parseFence(line) || parseAtxHeading(line) || isThematicBreak(line)) break;
+      if (parseContainerMarker(line)) break;
       if (/^\s*>/.test(line)) break;
       if (/^(\s*)([-+*])\s+/.test(line)) break;
       if (/^(\s*)(\d+)[.)]\s+/.test(line)) break;
       if (parseTable(lines, j)) break;
       if (/^( {4,}|\t)/.test(line)) break;
+      if (opts && opts.allowHtml && parseHtmlBlock(lines, j)) break;
 
       buf.push(line);
       j++;
     }
-    return { type: "paragraph", lines: buf, nextIndex: j };
+    if (!buf.length) return null;
+    return { type: "paragraph", inline: buf.join("\n"), nextIndex: j };
   }
 
-  function renderInline(text, opts) {
-    // Inline rendering runs on escaped HTML (safe-by-default).
-    // If allowHtml, we let raw HTML pass through by not escaping those segments; but
-    // fallback parser can't fully parse raw HTML, so we still keep it safe by default.
-    const options = opts || {};
-    let s = escapeHtml(text);
+  /* ---------- Block rules ---------- */
 
-    // Inline code: `code`
-    s = s.replace(/(^|[^`])`([^`]+)`(?!`)/g, function (m, p1, code) {
-      return p1 + "<code>" + code + "</code>";
-    });
-
-    // Images: ![alt](url "title")
-    s = s.replace(/!\[([^\]]*)\]\((\s*[^)\s]+)(?:\s+"([^"]*)")?\s*\)/g, function (_m, alt, url, title) {
-      const href = safeLinkHref(unescapeHtml(url), !!options.allowUnsafeLinks);
-      if (!href) return "";
-      const t = title ? ' title="' + escapeAttr(title) + '"' : "";
-      return '<img src="' + escapeAttr(href) + '" alt="' + escapeAttr(alt) + '"' + t + '/>';
-    });
+  // Tried in order at the start of every block; the first that returns
+  // { node, nextIndex } wins ({ nextIndex } alone consumes lines without output).
+  // Nodes may hold raw inline source in `inline`; parseMarkdown replaces it with
+  // parsed `children` once all link/footnote definitions are known.
 
-    // Links: [text](url "title")
-    s = s.replace(/\[([^\]]+)\]\((\s*[^)\s]+)(?:\s+"([^"]*)")?\s*\)/g, function (_m, label, url, title) {
-      const href = safeLinkHref(unescapeHtml(url), !!options.allowUnsafeLinks);
-      const safe = href || "#";
-      const t = title ? ' title="' + escapeAttr(title) + '"' : "";
-      const target = (options.linkTargetBlank !== false) ? ' target="_blank" rel="noopener noreferrer"' : "";
-      return '<a href="' + escapeAttr(safe) + '"' + t + target + ">" + label + "</a>";
-    });
-
-    // Autolinks: <http://...> <mailto:...>
-    s = s.replace(/&lt;((https?:\/\/|mailto:)[^&\s]+)&gt;/gi, function (_m, url) {
-      const href = safeLinkHref(unescapeHtml(url), !!options.allowUnsafeLinks) || "#";
-      const target = (options.linkTargetBlank !== false) ? ' target="_blank" rel="noopener noreferrer"' : "";
-      return '<a href="' + escapeAttr(href) + '"' + target + ">" + url + "</a>";
-    });
+  function asBlock(node) {
+    return node ? { node: node, nextIndex: node.nextIndex } : null;
+  }
 
-    // Bare URLs (very common): https://... (avoid inside existing tags)
-    s = s.replace(/(^|[\s(])((https?:\/\/)[^\s<]+)/g, function (_m, p1, url) {
-      const href = safeLinkHref(unescapeHtml(url), !!options.allowUnsafeLinks);
-      if (!href) return p1 + url;
-      const target = (options.linkTargetBlank !== false) ? ' target="_blank" rel="noopener noreferrer"' : "";
-      return p1 + '<a href="' + escapeAttr(href) + '"' + target + ">" + url + "</a>";
-    });
+  const BLOCK_RULES = [
+    {
+      // ```api fences become reference cards
+      name: "fence",
+      parse: function (lines, i) {
+        const code = parseFencedCode(lines, i);
+        if (!code || code.lang.toLowerCase() !== "api") return asBlock(code);
+        return { node: apiNode(code.value), nextIndex: code.nextIndex };
+      },
+    },
+    {
+      // Callout containers: ::: warning Title ... :::
+      name: "container",
+      parse: function (lines, i, state) {
+        const box = parseContainer(lines, i);
+        if (!box) return null;
+        const node = { type: "callout", kind: box.kind, title: box.title, children: state.parseBlocks(box.lines) };
+        return { node: node, nextIndex: box.nextIndex };
+      },
+    },
+    // Raw HTML blocks (sanitized with the rest of the output)
+    { name: "html", parse: (lines, i, state) => state.options.allowHtml ? asBlock(parseHtmlBlock(lines, i)) : null },
+    { name: "indentedCode", parse: (lines, i) => asBlock(parseIndentedCode(lines, i)) },
+    {
+      name: "setextHeading",
+      parse: function (lines, i) {
+        const h = parseSetextHeading(lines, i);
+        return h ? { node: { type: "heading", level: h.level, inline: h.text }, nextIndex: h.nextIndex } : null;
+      },
+    },
+    {
+      name: "atxHeading",
+      parse: function (lines, i) {
+        const h = parseAtxHeading(lines[i]);
+        return h ? { node: { type: "heading", level: h.level, inline: h.text }, nextIndex: i + 1 } : null;
+      },
+    },
+    { name: "hr", parse: (lines, i) => isThematicBreak(lines[i]) ? { node: { type: "hr" }, nextIndex: i + 1 } : null },
+    {
+      name: "blockquote",
+      parse: function (lines, i, state) {
+        const bq = parseBlockquote(lines, i);
+        if (!bq) return null;
+        // GitHub-style alert: > [!WARNING] optional title
+        const alert = bq.lines.length ? bq.lines[0].trim().match(CALLOUT_ALERT_RE) : null;
+        const kind = alert ? resolveCalloutKind(alert[1]) : "";
+        const node = kind
+          ? { type: "callout", kind: kind, title: alert[2], children: state.parseBlocks(bq.lines.slice(1)) }
+          : { type: "blockquote", children: state.parseBlocks(bq.lines) };
+        return { node: node, nextIndex: bq.nextIndex };
+      },
+    },
+    // Link reference / footnote definitions (collected into env, no node of their own)
+    { name: "definition", parse: (lines, i, state) => parseDefinition(lines, i, state.options, state.env) },
+    { name: "table", parse: (lines, i) => asBlock(parseTable(lines, i)) },
+    { name: "list", parse: (lines, i, state) => asBlock(parseList(lines, i, state.options, state.env)) },
+    { name: "paragraph", parse: (lines, i, state) => asBlock(parseParagraph(lines, i, state.options)) },
+  ];
+
+  const blockRules = BLOCK_RULES.slice(); // plus mdToHtml.use() additions
+
+  function parseBlocks(lines, opts, env) {
+    // Block-level pass over an array of lines. Blocks that follow a blank line are
+    // flagged `blankBefore`, which parseList uses to tell loose lists from tight ones.
+    const state = {
+      options: opts || {},
+      env: env,
+      parseBlocks: (sub) => parseBlocks(sub, opts, env),
+    };
+    const blocks = [];
+    let i = 0;
+    let blank = false;
 
-    // Strikethrough: ~~text~~
-    s = s.replace(/~~([^~\n]+)~~/g, "<del>$1</del>");
+    while (i < lines.length) {
+      if (!lines[i].trim()) { i++; blank = true; continue; }
 
-    // Bold: **text** or __text__
-    s = s.replace(/\*\*([\s\S]+?)\*\*/g, "<strong>$1</strong>");
-    s = s.replace(/__([\s\S]+?)__/g, "<strong>$1</strong>");
+      let res = null;
+      for (let k = 0; k < blockRules.length && !res; k++) res = blockRules[k].parse(lines, i, state);
+      // Fallback single line paragraph
+      if (!res) res = { node: { type: "paragraph", inline: lines[i] }, nextIndex: i + 1 };
+
+      const next = res.nextIndex;
+      if (res.node) {
+        delete res.node.nextIndex;
+        if (blank) res.node.blankBefore = true;
+        blank = false;
+        blocks.push(res.node);
+      }
+      i = next > i ? next : i + 1;
+    }
 
-    // Italic: *text* or _text_ (best-effort, avoids breaking strong)
-    s = s.replace(/(^|[^*])\*([^*\n]+)\*(?!\*)/g, "$1<em>$2</em>");
-    s = s.replace(/(^|[^_])_([^_\n]+)_(?!_)/g, "$1<em>$2</em>");
+    return blocks;
+  }
 
-    return s;
+  /* ---------- Inline rules ---------- */
+
+  // Each rule is tried where the source has one of its `trigger` characters and
+  // returns { node, end }, { text, end } (literal text) or null. Text between
+  // matches becomes text nodes. Patterns are sticky and run through matchAt, so a
+  // paragraph isn't copied for every trigger character.
+
+  const ESCAPABLE_RE = /^[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]$/;
+  const WORD_CHAR_RE = /[\p{L}\p{N}]/u;
+  const BACKTICKS_RE = /`+/y;
+  const FOOTNOTE_REF_RE = /\[\^([^\]\s]+)\]/y;
+  const DELETE_RE = /~~([^~\n]+)~~/y;
+  const INLINE_HTML_RE = /(?:<!--[\s\S]*?-->|<\/?[A-Za-z][A-Za-z0-9-]*(?:\s+[A-Za-z_:][\w.:-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>)/y;
+  const AUTOLINK_RE = /<((?:https?:\/\/|mailto:)[^\s<>&"']+)>/iy;
+  const BARE_URL_RE = /https?:\/\/[^\s<]+/y;
+  const LINK_DEST_RE = /\(\s*([^()\s]+)(?:\s+"([^"]*)")?\s*\)/y;
+
+  function matchAt(re, src, pos) {
+    // Sticky match of `re` starting exactly at `pos`.
+    re.lastIndex = pos;
+    return re.exec(src);
   }
 
-  function renderBlock(block, opts) {
-    const options = opts || {};
-
-    switch (block.type) {
-      case "heading":
-        return "<h" + block.level + ">" + renderInline(block.text, options) + "</h" + block.level + ">";
-      case "hr":
-        return "<hr/>";
-      case "code": {
-        const cls = block.lang ? ' class="language-' + escapeAttr(block.lang) + '"' : "";
-        return "<pre><code" + cls + ">" + escapeHtml(block.content) + "</code></pre>";
-      }
-      case "blockquote": {
-        const inner = fallbackMdToHtml(block.lines.join("\n"), options);
-        return "<blockquote>" + inner + "</blockquote>";
-      }
-      case "list": {
-        const tag = block.ordered ? "ol" : "ul";
-        const items = block.items.map(it => {
-          // task list
-          const m = it.match(/^\[( |x|X)\]\s+(.*)$/);
-          if (m) {
-            const checked = (m[1].toLowerCase() === "x");
-            const cb = '<input type="checkbox" disabled' + (checked ? " checked" : "") + "/> ";
-            return "<li class=\"task-list-item\">" + cb + renderInline(m[2], options) + "</li>";
-          }
-          return "<li>" + renderInline(it, options) + "</li>";
-        }).join("");
-        const cls = (!block.ordered) ? "" : "";
-        return "<" + tag + (cls ? " class=\"" + cls + "\"" : "") + ">" + items + "</" + tag + ">";
-      }
-      case "table": {
-        const ths = block.headers.map((h, idx) => {
-          const align = block.aligns[idx] ? ' style="text-align:' + block.aligns[idx] + ';"' : "";
-          return "<th" + align + ">" + renderInline(h, options) + "</th>";
-        }).join("");
-        const trs = block.rows.map(r => {
-          const tds = r.map((c, idx) => {
-            const align = block.aligns[idx] ? ' style="text-align:' + block.aligns[idx] + ';"' : "";
-            return "<td" + align + ">" + renderInline(c, options) + "</td>";
-          }).join("");
-          return "<tr>" + tds + "</tr>";
-        }).join("");
-        return "<table><thead><tr>" + ths + "</tr></thead><tbody>" + trs + "</tbody></table>";
-      }
-      case "paragraph":
-        return "<p>" + renderInline(block.lines.join("\n"), options).replace(/\n/g, "<br/>") + "</p>";
-      default:
-        return "";
+  function codeSpanEnd(src, pos) {
+    // Index just past the code span opening at `pos`, or -1 when its backtick run is unclosed.
+    const open = matchAt(BACKTICKS_RE, src, pos)[0].length;
+    const re = /`+/g;
+    re.lastIndex = pos + open;
+    let m;
+    while ((m = re.exec(src))) {
+      if (m[0].length === open) return m.index + open;
     }
+    return -1;
   }
 
-  function fallbackMdToHtml(md, options) {
-    const opts = options || {};
-    const lines = splitLines(md);
+  function skipOpaque(src, j) {
+    // Escapes and code spans can't hold delimiters or brackets: returns the index of
+    // their last character (j itself for anything else).
+    if (src[j] === "\\") return j + 1;
+    if (src[j] === "`") {
+      const end = codeSpanEnd(src, j);
+      return end !== -1 ? end - 1 : j + matchAt(BACKTICKS_RE, src, j)[0].length - 1;
+    }
+    return j;
+  }
 
-    const blocks = [];
-    let i = 0;
+  function findCloser(src, from, delim, multiline) {
+    // Next closing run for * / ** / _ / __. A single delimiter skips doubled runs
+    // (they belong to strong emphasis); "***" closes on its last one or two.
+    const ch = delim[0];
+    for (let j = from; j < src.length; j++) {
+      const skip = skipOpaque(src, j);
+      if (skip !== j) { j = skip; continue; }
+      if (src[j] === "\n" && !multiline) return -1;
+      if (src[j] !== ch) continue;
+      let run = 1;
+      while (src[j + run] === ch) run++;
+      if (delim.length === 1 && run !== 2) return j + run - 1;
+      if (delim.length === 2 && run >= 2) return j + run - 2;
+      j += run - 1;
+    }
+    return -1;
+  }
 
-    while (i < lines.length) {
-      const line = lines[i];
-
-      if (!line.trim()) { i++; continue; }
-
-      // Fenced code blocks
-      const fence = parseFence(line);
-      if (fence) {
-        const buf = [];
-        let j = i + 1;
-        while (j < lines.length) {
-          const l = lines[j];
-          const end = l.match(new RegExp("^\\s*" + fence.marker.replace(/`/g, "\\`") + "\\s*$"));
-          if (end) break;
-          buf.push(l);
-          j++;
-        }
-        blocks.push({ type: "code", lang: fence.lang, content: buf.join("\n") });
-        i = (j < lines.length) ? (j + 1) : j;
-        continue;
+  function parseDelimited(src, pos, delim, multiline, scan) {
+    // -> { content, end } for delim...delim at pos. Openers can't be followed by
+    // whitespace nor closers preceded by it; "_" doesn't work inside words.
+    // A failed search is remembered in `scan.delims` as the span [from, to) it
+    // covered: a later opener inside it has no closer either (closers only depend
+    // on what follows them), so unmatched runs cost one scan per paragraph or line.
+    const start = pos + delim.length;
+    if (!src[start] || /\s/.test(src[start])) return null;
+    const intraword = delim[0] === "_";
+    if (intraword && pos > 0 && WORD_CHAR_RE.test(src[pos - 1])) return null;
+    const failed = scan.delims[delim];
+    if (failed && start >= failed.from && start < failed.to) return null;
+    let from = start;
+    for (;;) {
+      const close = findCloser(src, from, delim, multiline);
+      if (close === -1) {
+        const stop = multiline ? -1 : src.indexOf("\n", from);
+        scan.delims[delim] = { from: start, to: stop === -1 ? src.length : stop };
+        return null;
       }
+      const leftOk = close > start && !/\s/.test(src[close - 1]);
+      const rightOk = !intraword || !WORD_CHAR_RE.test(src[close + delim.length] || "");
+      if (leftOk && rightOk) return { content: src.slice(start, close), end: close + delim.length };
+      from = close + delim.length;
+    }
+  }
 
-      // Indented code blocks
-      const indCode = parseIndentedCode(lines, i);
-      if (indCode) {
-        blocks.push(indCode);
-        i = indCode.nextIndex;
-        continue;
+  function findLabelEnd(src, open, scan) {
+    // Index of the "]" matching the "[" at `open` (nested brackets allowed), or -1.
+    // Brackets nested inside are resolved by the same pass and kept in `scan.labels`.
+    if (scan.labels.has(open)) return scan.labels.get(open);
+    const opens = [];
+    for (let j = open; j < src.length; j++) {
+      const skip = skipOpaque(src, j);
+      if (skip !== j) { j = skip; continue; }
+      if (src[j] === "[") {
+        opens.push(j);
+      } else if (src[j] === "]" && opens.length) {
+        scan.labels.set(opens.pop(), j);
+        if (!opens.length) return j;
       }
+    }
+    opens.forEach(at => scan.labels.set(at, -1));
+    return -1;
+  }
 
-      // Setext headings
-      const setext = parseSetextHeading(lines, i);
-      if (setext) {
-        blocks.push({ type: "heading", level: setext.level, text: setext.text });
-        i = setext.nextIndex;
-        continue;
+  function matchReference(src, pos, label, state) {
+    // Reference forms after a "[label]" ending just before `pos`: [label][ref], [label][], [label].
+    let key = label;
+    let end = pos;
+    if (src[pos] === "[") {
+      const close = src.indexOf("]", pos + 1);
+      if (close !== -1) {
+        key = src.slice(pos + 1, close) || label;
+        end = close + 1;
       }
+    }
+    if (!key) return null;
+    const def = state.env.linkRefs[normalizeLabel(key)];
+    return def ? { url: def.url, title: def.title, end: end } : null;
+  }
 
-      // ATX headings
-      const atx = parseAtxHeading(line);
-      if (atx) {
-        blocks.push({ type: "heading", level: atx.level, text: atx.text });
-        i++;
-        continue;
-      }
+  function parseCodeSpan(src, pos) {
+    const run = matchAt(BACKTICKS_RE, src, pos)[0];
+    const end = codeSpanEnd(src, pos);
+    if (end === -1) return { text: run, end: pos + run.length };
+    let value = src.slice(pos + run.length, end - run.length).replace(/\n/g, " ");
+    // CommonMark: one space on each side is padding (so `` `x` `` can show backticks).
+    if (/^ .*[^ ].* $/.test(value)) value = value.slice(1, -1);
+    return { node: { type: "inlineCode", value: value }, end: end };
+  }
 
-      // HR
-      if (isThematicBreak(line)) {
-        blocks.push({ type: "hr" });
-        i++;
-        continue;
-      }
+  function parseImage(src, pos, state) {
+    // ![alt](url "title") or ![alt][ref]
+    if (src[pos + 1] !== "[") return null;
+    const close = pos + 2 <= state.scan.lastBracket ? src.indexOf("]", pos + 2) : -1;
+    if (close === -1) return null;
+    const alt = src.slice(pos + 2, close);
+    const dest = matchAt(LINK_DEST_RE, src, close + 1);
+    const target = dest
+      ? { url: dest[1], title: dest[2] || "", end: close + 1 + dest[0].length }
+      : matchReference(src, close + 1, alt, state);
+    if (!target) return null;
+    return { node: { type: "image", url: target.url, alt: alt, title: target.title }, end: target.end };
+  }
 
-      // Blockquote
-      const bq = parseBlockquote(lines, i);
-      if (bq) {
-        blocks.push({ type: "blockquote", lines: bq.lines });
-        i = bq.nextIndex;
-        continue;
-      }
+  function parseLink(src, pos, state) {
+    // [text](url "title") or [text][ref] / [text][] / [ref]
+    const close = findLabelEnd(src, pos, state.scan);
+    if (close <= pos + 1) return null;
+    const label = src.slice(pos + 1, close);
+    const dest = matchAt(LINK_DEST_RE, src, close + 1);
+    const target = dest
+      ? { url: dest[1], title: dest[2] || "", end: close + 1 + dest[0].length }
+      : matchReference(src, close + 1, label, state);
+    if (!target) return null;
+    const node = { type: "link", url: target.url, title: target.title, children: state.parseInline(label) };
+    return { node: node, end: target.end };
+  }
 
-      // Table
-      const tbl = parseTable(lines, i);
-      if (tbl) {
-        blocks.push(tbl);
-        i = tbl.nextIndex;
-        continue;
-      }
+  function parseFootnoteRef(src, pos, state) {
+    // [^label], only when the note is defined. Notes are numbered by first reference.
+    const m = matchAt(FOOTNOTE_REF_RE, src, pos);
+    const note = m && state.env.noteDefs[normalizeLabel(m[1])];
+    if (!note) return null;
+    if (!note.index) {
+      state.env.noteOrder.push(note);
+      note.index = state.env.noteOrder.length;
+    }
+    const node = { type: "footnoteRef", label: m[1], index: note.index, ref: note.refCount };
+    note.refCount++;
+    return { node: node, end: pos + m[0].length };
+  }
 
-      // List
-      const lst = parseList(lines, i);
-      if (lst) {
-        blocks.push(lst);
-        i = lst.nextIndex;
+  function parseEmphasis(src, pos, state) {
+    // **strong** / __strong__ (may span lines), *em* / _em_ (single line)
+    const ch = src[pos];
+    if (src[pos + 1] === ch) {
+      const strong = parseDelimited(src, pos, ch + ch, true, state.scan);
+      if (!strong) return { text: ch + ch, end: pos + 2 };
+      return { node: { type: "strong", children: state.parseInline(strong.content) }, end: strong.end };
+    }
+    const em = parseDelimited(src, pos, ch, false, state.scan);
+    return em ? { node: { type: "emphasis", children: state.parseInline(em.content) }, end: em.end } : null;
+  }
+
+  function parseBareUrl(src, pos, state) {
+    // https://... at the start of a word or after "(". Trailing punctuation and an
+    // unbalanced ")" stay outside the link.
+    if (pos > 0 && !/[\s(]/.test(src[pos - 1])) return null;
+    if (!src.startsWith("http", pos)) return null;
+    const m = matchAt(BARE_URL_RE, src, pos);
+    if (!m) return null;
+    let url = m[0].replace(/[.,;:!?'"]+$/, "");
+    while (url.endsWith(")") && url.split("(").length < url.split(")").length) {
+      url = url.slice(0, -1).replace(/[.,;:!?'"]+$/, "");
+    }
+    if (!safeLinkHref(url, !!state.options.allowUnsafeLinks)) return null;
+    const node = { type: "link", url: url, title: "", children: [{ type: "text", value: url }] };
+    return { node: node, end: pos + url.length };
+  }
+
+  const INLINE_RULES = [
+    {
+      name: "escape",
+      trigger: "\\",
+      parse: (src, pos) => ESCAPABLE_RE.test(src[pos + 1] || "") ? { text: src[pos + 1], end: pos + 2 } : null,
+    },
+    { name: "code", trigger: "`", parse: parseCodeSpan },
+    {
+      // <http://...> <mailto:...>
+      name: "autolink",
+      trigger: "<",
+      parse: function (src, pos) {
+        const m = matchAt(AUTOLINK_RE, src, pos);
+        if (!m) return null;
+        return { node: { type: "link", url: m[1], title: "", children: [{ type: "text", value: m[1] }] }, end: pos + m[0].length };
+      },
+    },
+    {
+      // Raw tags and comments (allowHtml only; sanitized with the rest of the output)
+      name: "html",
+      trigger: "<",
+      parse: function (src, pos, state) {
+        if (!state.options.allowHtml) return null;
+        const m = matchAt(INLINE_HTML_RE, src, pos);
+        return m ? { node: { type: "html", value: m[0] }, end: pos + m[0].length } : null;
+      },
+    },
+    { name: "image", trigger: "!", parse: parseImage },
+    { name: "footnoteRef", trigger: "[", parse: parseFootnoteRef },
+    { name: "link", trigger: "[", parse: parseLink },
+    {
+      // ~~text~~
+      name: "delete",
+      trigger: "~",
+      parse: function (src, pos, state) {
+        const m = matchAt(DELETE_RE, src, pos);
+        return m ? { node: { type: "delete", children: state.parseInline(m[1]) }, end: pos + m[0].length } : null;
+      },
+    },
+    { name: "emphasis", trigger: "*_", parse: parseEmphasis },
+    { name: "url", trigger: "h", parse: parseBareUrl },
+    { name: "break", trigger: "\n", parse: (src, pos) => ({ node: { type: "break" }, end: pos + 1 }) },
+  ];
+
+  const inlineRules = INLINE_RULES.slice(); // plus mdToHtml.use() additions
+
+  function parseInline(text, state) {
+    const src = String(text);
+    const nodes = [];
+    let buf = "";
+    let pos = 0;
+    // Per-source memo for the emphasis and label scans (see parseDelimited, findLabelEnd);
+    // nested calls parse other text, so the caller's is restored on the way out.
+    const outer = state.scan;
+    state.scan = { delims: {}, labels: new Map(), lastBracket: src.lastIndexOf("]") };
+
+    while (pos < src.length) {
+      const ch = src[pos];
+      let hit = null;
+      for (let k = 0; k < inlineRules.length && !hit; k++) {
+        const rule = inlineRules[k];
+        if (!rule.trigger || rule.trigger.indexOf(ch) !== -1) hit = rule.parse(src, pos, state);
+      }
+      if (!hit) {
+        buf += ch;
+        pos++;
         continue;
       }
+      if (hit.text != null) {
+        buf += hit.text;
+      } else if (hit.node) {
+        if (buf) nodes.push({ type: "text", value: buf });
+        buf = "";
+        nodes.push(hit.node);
+      }
+      pos = hit.end > pos ? hit.end : pos + 1;
+    }
+    if (buf) nodes.push({ type: "text", value: buf });
+    state.scan = outer;
+    return nodes;
+  }
 
-      // Paragraph
-      const p = parseParagraph(lines, i);
-      if (p) {
-        blocks.push(p);
-        i = p.nextIndex;
-        continue;
+  function plainText(nodes) {
+    // Text content of inline nodes, as a browser would show it (used for heading ids).
+    return nodes.map(n => {
+      if (n.type === "text" || n.type === "inlineCode") return n.value;
+      if (n.type === "footnoteRef") return "[" + n.index + "]";
+      return Array.isArray(n.children) ? plainText(n.children) : "";
+    }).join("");
+  }
+
+  function resolveInline(node, state) {
+    // Replaces `inline` source with parsed children (recursing through block children)
+    // and drops parser-only fields. Headings get their ids here, in document order.
+    delete node.blankBefore;
+    if (typeof node.inline === "string") {
+      node.children = parseInline(node.inline, state);
+      delete node.inline;
+    } else if (Array.isArray(node.children)) {
+      node.children.forEach(child => resolveInline(child, state));
+    }
+    if (node.type === "api" && !node.error) {
+      const inline = (text) => text ? parseInline(text, state) : [];
+      node.id = node.id || state.env.slug("api-" + node.name);
+      node.summary = inline(node.summary);
+      node.params.forEach(p => { p.description = inline(p.description); });
+      if (node.returns) node.returns.description = inline(node.returns.description);
+      node.errors.forEach(e => { e.description = inline(e.description); });
+    }
+    if (node.type === "heading") {
+      const text = plainText(node.children || []);
+      node.id = node.id || state.env.slug(text);
+      state.env.headings.push({ level: node.level, text: text, id: node.id });
+    }
+  }
+
+  function parseMarkdown(md, opts) {
+    // Two passes: blocks first (collecting link and footnote definitions into env), then
+    // inline content in document order, so references resolve wherever they're defined.
+    const env = createEnv();
+    const children = parseBlocks(splitLines(md), opts, env);
+    const state = {
+      options: opts,
+      env: env,
+      parseInline: (text) => parseInline(text, state),
+    };
+    children.forEach(node => resolveInline(node, state));
+    // Notes may reference further notes, so noteOrder can grow while this runs.
+    for (let n = 0; n < env.noteOrder.length; n++) {
+      env.noteOrder[n].children.forEach(node => resolveInline(node, state));
+    }
+    return { type: "root", children: children, footnotes: env.noteOrder, headings: env.headings, meta: {} };
+  }
+
+  /* =========================================================
+   * Fallback renderer: AST -> HTML
+   * ========================================================= */
+
+  function linkTargetAttrs(options, href) {
+    if (href.charAt(0) === "#") return "";
+    return (options.linkTargetBlank !== false) ? ' target="_blank" rel="noopener noreferrer"' : "";
+  }
+
+  function cellAlign(align) {
+    return align ? ' style="text-align:' + align + ';"' : "";
+  }
+
+  // Built-in renderers: function (node, r) -> html, where r is the render context
+  // built by createRenderer.
+  const RENDER_RULES = {
+    root: function (node, r) {
+      // Footnotes mirror markdown-it-footnote's markup.
+      const notes = node.footnotes || [];
+      if (!notes.length) return r.blocks(node.children);
+      return r.blocks(node.children) + '\n<hr class="footnotes-sep"/>\n<section class="footnotes">\n<ol class="footnotes-list">\n' +
+          notes.map(n => r.render(n) + "\n").join("") + "</ol>\n</section>";
+    },
+    heading: function (node, r) {
+      return "<h" + node.level + ' id="' + escapeAttr(node.id) + '">' + r.inline(node.children) + "</h" + node.level + ">";
+    },
+    paragraph: (node, r) => "<p>" + r.inline(node.children) + "</p>",
+    hr: () => "<hr/>",
+    code: function (node, r) {
+      const cls = node.lang ? ' class="language-' + escapeAttr(node.lang) + '"' : "";
+      const highlight = codeHighlighter(r.options);
+      const code = (highlight && node.lang) ? highlight(node.value, node.lang) : escapeHtml(node.value);
+      return "<pre><code" + cls + ">" + code + "</code></pre>";
+    },
+    blockquote: (node, r) => "<blockquote>" + r.blocks(node.children) + "</blockquote>",
+    api: (node, r) => node.error ? renderApiError(node) : renderApiCard(node, node.id, r.options, r.inline),
+    callout: function (node, r) {
+      return renderCalloutOpen(node.kind, node.title, r.options) + "\n" + r.blocks(node.children) + renderCalloutClose();
+    },
+    list: function (node, r) {
+      const tag = node.ordered ? "ol" : "ul";
+      const start = (node.ordered && node.start != null && node.start !== 1) ? ' start="' + node.start + '"' : "";
+      return "<" + tag + start + ">" + node.children.map(r.render).join("") + "</" + tag + ">";
+    },
+    listItem: function (node, r) {
+      // Tight lists render their paragraphs bare; loose lists wrap them in <p>.
+      const inner = node.children.map(b => {
+        if (!node.loose && b.type === "paragraph") return r.inline(b.children);
+        return r.render(b);
+      }).join("\n");
+      if (node.checked == null) return "<li>" + inner + "</li>";
+      const cb = '<input type="checkbox" disabled' + (node.checked ? " checked" : "") + "/> ";
+      return "<li class=\"task-list-item\">" + cb + inner + "</li>";
+    },
+    table: function (node, r) {
+      const rows = node.children.map(r.render);
+      return "<table><thead>" + (rows[0] || "") + "</thead><tbody>" + rows.slice(1).join("") + "</tbody></table>";
+    },
+    tableRow: (node, r) => "<tr>" + node.children.map(r.render).join("") + "</tr>",
+    tableCell: function (node, r) {
+      const tag = node.header ? "th" : "td";
+      return "<" + tag + cellAlign(node.align) + ">" + r.inline(node.children) + "</" + tag + ">";
+    },
+    html: function (node, r) {
+      // Raw HTML only comes from allowHtml parses; render() sanitizes the output.
+      r.sawHtml = true;
+      return r.options.sanitize === false ? node.value : prefixRawIds(node.value);
+    },
+    footnote: function (node, r) {
+      let inner = r.blocks(node.children);
+      let backrefs = "";
+      for (let k = 0; k < node.refCount; k++) {
+        backrefs += ' <a href="#fnref' + node.index + (k ? ":" + k : "") + '" class="footnote-backref">\u21a9\uFE0E</a>';
+      }
+      if (/<\/p>$/.test(inner)) inner = inner.slice(0, -4) + backrefs + "</p>";
+      else inner += backrefs;
+      return '<li id="fn' + node.index + '" class="footnote-item">' + inner + "</li>";
+    },
+
+    text: (node) => escapeHtml(node.value),
+    inlineCode: (node) => "<code>" + escapeHtml(node.value) + "</code>",
+    emphasis: (node, r) => "<em>" + r.inline(node.children) + "</em>",
+    strong: (node, r) => "<strong>" + r.inline(node.children) + "</strong>",
+    delete: (node, r) => "<del>" + r.inline(node.children) + "</del>",
+    link: function (node, r) {
+      const href = r.url(node.url) || "#";
+      const t = node.title ? ' title="' + escapeAttr(node.title) + '"' : "";
+      return '<a href="' + escapeAttr(href) + '"' + t + linkTargetAttrs(r.options, href) + ">" + r.inline(node.children) + "</a>";
+    },
+    image: function (node, r) {
+      const src = r.url(node.url);
+      if (!src) return "";
+      const t = node.title ? ' title="' + escapeAttr(node.title) + '"' : "";
+      return '<img src="' + escapeAttr(src) + '" alt="' + escapeAttr(node.alt) + '"' + t + "/>";
+    },
+    footnoteRef: function (node) {
+      const id = node.index + (node.ref ? ":" + node.ref : "");
+      return '<sup class="footnote-ref"><a href="#fn' + node.index + '" id="fnref' + id + '">[' + node.index + "]</a></sup>";
+    },
+    break: () => "<br/>",
+  };
+
+  const pluginRenderers = []; // renderer maps from mdToHtml.use(), oldest first
+  let pluginCount = 0;        // mdToHtml.use() calls
+
+  function createRenderer(overrides, options) {
+    // Renderer layers, lowest first: built-ins, plugin renderers, per-call overrides.
+    // A renderer is function (node, r, next) -> html; next() renders the same node
+    // with the layer below, so overrides can wrap the default markup.
+    const layers = [RENDER_RULES].concat(pluginRenderers, overrides ? [overrides] : []);
+
+    function renderAt(node, depth) {
+      for (let k = depth; k >= 0; k--) {
+        const fn = layers[k][node.type];
+        if (typeof fn !== "function") continue;
+        const out = fn(node, r, () => renderAt(node, k - 1));
+        return out == null ? "" : String(out);
       }
+      return ""; // unknown node type
+    }
 
-      // Fallback single line paragraph
-      blocks.push({ type: "paragraph", lines: [line] });
-      i++;
+    const r = {
+      options: options,
+      sawHtml: false,
+      render: (node) => renderAt(node, layers.length - 1),
+      blocks: (nodes) => (nodes || []).map(n => r.render(n)).join("\n"),
+      inline: (nodes) => (nodes || []).map(n => r.render(n)).join(""),
+      url: (url) => safeLinkHref(resolveUrl(url, options.baseUrl), !!options.allowUnsafeLinks),
+      escapeHtml: escapeHtml,
+      escapeAttr: escapeAttr,
+    };
+    return r;
+  }
+
+  function renderAst(ast, overrides, options) {
+    const opts = options || {};
+    const r = createRenderer(overrides, opts);
+    let html = Array.isArray(ast) ? r.blocks(ast) : r.render(ast);
+    if ((opts.allowHtml || r.sawHtml) && opts.sanitize !== false) html = linkRawIds(sanitizeHtml(html, opts));
+    return html;
+  }
+
+  function fallbackMdToHtml(md, options) {
+    const opts = options || {};
+    const ast = parseMarkdown(md, opts);
+    return applyToc(renderAst(ast, null, opts), ast.headings, opts);
+  }
+
+  /* =========================================================
+   * Plugins
+   * ========================================================= */
+
+  function insertRule(list, rule, before, kind) {
+    if (!rule || typeof rule.parse !== "function") {
+      throw new TypeError("mdToHtml.use: " + kind + " rules need a parse function");
     }
+    const idx = list.findIndex(r => r.name === before);
+    if (idx === -1) throw new Error("mdToHtml.use: no " + kind + " rule named \"" + before + "\"");
+    list.splice(idx, 0, rule);
+  }
 
-    // Render blocks
-    return blocks.map(b => renderBlock(b, opts)).join("\n");
+  const pluginApi = {
+    // { name, parse(lines, i, state) -> { node, nextIndex } | null, before = "paragraph" }
+    addBlockRule: (rule) => insertRule(blockRules, rule, rule && rule.before || "paragraph", "block"),
+    // { name, trigger, parse(src, pos, state) -> { node, end } | { text, end } | null, before = "autolink" }
+    addInlineRule: (rule) => insertRule(inlineRules, rule, rule && rule.before || "autolink", "inline"),
+    // { type: function (node, r, next) -> html }
+    addRenderer: function (renderers) {
+      if (!renderers || typeof renderers !== "object") throw new TypeError("mdToHtml.use: renderer must be an object");
+      pluginRenderers.push(Object.assign({}, renderers));
+    },
+    escapeHtml: escapeHtml,
+    escapeAttr: escapeAttr,
+  };
+
+  function use(plugin, pluginOptions) {
+    pluginCount++;
+    if (typeof plugin === "function") {
+      plugin(pluginApi, pluginOptions);
+    } else if (plugin && typeof plugin === "object") {
+      (plugin.block || []).forEach(pluginApi.addBlockRule);
+      (plugin.inline || []).forEach(pluginApi.addInlineRule);
+      if (plugin.renderer) pluginApi.addRenderer(plugin.renderer);
+    } else {
+      throw new TypeError("mdToHtml.use: a plugin is a function or { block, inline, renderer }");
+    }
+    return mdToHtml;
   }
 
   /* =========================================================
    * Public API
    * ========================================================= */
 
-  function mdToHtml(md, options) {
-    const opts = options || {};
+  function renderBody(md, opts) {
     // Try markdown-it first
     const html = renderWithMarkdownIt(md, opts);
     if (html != null) return html;
@@ -576,12 +2319,80 @@
     return fallbackMdToHtml(md, opts);
   }
 
-  // Expose
-  if (typeof window !== "undefined") {
-    window.mdToHtml = mdToHtml;
-    window._mdToHtmlFallback = fallbackMdToHtml; // for debugging
-  } else if (typeof globalThis !== "undefined") {
-    globalThis.mdToHtml = mdToHtml;
-    globalThis._mdToHtmlFallback = fallbackMdToHtml;
+  function mdToHtml(md, options) {
+    const opts = options || {};
+    if (opts.frontMatter === false) return renderBody(md, opts);
+
+    const fm = extractFrontMatter(md);
+    const out = renderBody(fm.body, opts);
+    if (out && typeof out === "object") out.meta = fm.meta;
+    return out;
   }
-})();
\ No newline at end of file
+
+  /**
+   * Renders a whole document: front matter metadata, body HTML and its headings/TOC.
+   *   mdToHtml.renderDocument(md, opts) -> { html, meta, toc, headings }
+   */
+  mdToHtml.renderDocument = function (md, options) {
+    const opts = Object.assign({}, options, { toc: "return" });
+    return mdToHtml(md, opts);
+  };
+
+  /**
+   * Parses Markdown into the AST described at the top of the "Fallback parser" section.
+   * Always uses the built-in parser (with plugin rules), even when markdown-it is on the page.
+   * Front matter lands in ast.meta unless { frontMatter: false }.
+   *   mdToHtml.parse(md, { allowHtml }) -> { type: "root", children, footnotes, headings, meta }
+   */
+  mdToHtml.parse = function (md, options) {
+    const opts = options || {};
+    if (opts.frontMatter === false) return parseMarkdown(md, opts);
+    const fm = extractFrontMatter(md);
+    const ast = parseMarkdown(fm.body, opts);
+    ast.meta = fm.meta;
+    return ast;
+  };
+
+  /**
+   * Renders an AST, a single node or an array of blocks to HTML. `renderer` overrides
+   * node types: { heading(node, r, next) { ... } }, where next() is the default markup
+   * and r offers render(node), blocks(nodes), inline(nodes), url(url), escapeHtml,
+   * escapeAttr and options. Options are mdToHtml's (baseUrl, highlight, calloutTitles,
+   * allowHtml/sanitize, ...); raw HTML nodes are always sanitized unless { sanitize: false }.
+   *   mdToHtml.render(mdToHtml.parse(md), { image: (node, r, next) => "<figure>" + next() + "</figure>" })
+   */
+  mdToHtml.render = function (ast, renderer, options) {
+    return renderAst(ast, renderer, options);
+  };
+
+  /**
+   * Extends the fallback parser/renderer for every later call:
+   *   mdToHtml.use({ block: [rule], inline: [rule], renderer: { type: fn } })
+   *   mdToHtml.use(function (md, pluginOptions) { md.addBlockRule(...); ... }, pluginOptions)
+   * Block rule:  { name, before, parse(lines, i, state) -> { node, nextIndex } | null }
+   *   Runs before the built-in rule named `before` (default "paragraph"; built-ins are fence,
+   *   container, html, indentedCode, setextHeading, atxHeading, hr, blockquote, definition,
+   *   table, list, paragraph). state: { options, env, parseBlocks(lines) }. Put raw inline
+   *   Markdown in node.inline and nested blocks (from state.parseBlocks) in node.children.
+   * Inline rule: { name, trigger, before, parse(src, pos, state) -> { node, end } | { text, end } | null }
+   *   Tried at characters listed in `trigger` (every position when omitted), before the
+   *   built-in named `before` (default "autolink"; built-ins are escape, code, autolink, html,
+   *   image, footnoteRef, link, delete, emphasis, url, break). state: { options, env, parseInline(text) }.
+   * Block rules don't interrupt paragraphs; start custom blocks after a blank line.
+   */
+  mdToHtml.use = use;
+
+  /**
+   * Whether mdToHtml.use() has been called. Plugins live in this copy of the module, so
+   * e.g. a worker that loads its own mdToHtml.js would render without them.
+   */
+  mdToHtml.hasPlugins = () => pluginCount > 0;
+
+  mdToHtml.version = VERSION;
+
+  mdToHtml.frontMatter = extractFrontMatter;
+  mdToHtml.highlight = highlightCode;
+  mdToHtml.sanitize = sanitizeHtml;
+
+  return mdToHtml;
+});
\ No newline at end of file
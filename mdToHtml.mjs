@@ -0,0 +1,21 @@
+/**
+ * mdToHtml.mjs
+ * ES module entry for mdToHtml.js:
+ *   import mdToHtml, { parse, render, use } from "./mdToHtml.mjs";
+ *
+ * In Node the UMD file loads as CommonJS and arrives as the default export; in
+ * browsers it runs as a plain script inside this module and registers the global.
+ */
+
+import * as umd from "./mdToHtml.js";
+
+const mdToHtml = (umd && typeof umd.default === "function") ? umd.default : globalThis.mdToHtml;
+
+export default mdToHtml;
+export const renderDocument = mdToHtml.renderDocument;
+export const parse = mdToHtml.parse;
+export const render = mdToHtml.render;
+export const use = mdToHtml.use;
+export const frontMatter = mdToHtml.frontMatter;
+export const highlight = mdToHtml.highlight;
+export const sanitize = mdToHtml.sanitize;
@@ -0,0 +1,313 @@
+(function () {
+  "use strict";
+
+  /**
+   * serverStatus.js
+   * Pluggable Minecraft server status providers.
+   *
+   * Every provider resolves to the same normalized shape:
+   *   {
+   *     online: boolean,
+   *     players: { online: number, max: number, list: [{ name, id }] },
+   *     motd: string,          // raw MOTD, lines joined by "\n" (§ formatting codes kept)
+   *     version: string,
+   *     icon: string,          // URL or data: URL ("" if unknown)
+   *     latency: number|null,  // server ping in ms, if the source reports one
+   *     provider: string,
+   *     fetchedAt: number,     // Date.now() when the status was read
+   *   }
+   *
+   * Built-in providers (config.provider):
+   * - "mcsrvstat": { address: "host:port", bedrock?: true }  (api.mcsrvstat.us v3)
+   * - "json":      { url, fields?: { online: "a.b", ... } }   self-hosted status endpoint;
+   *                common field names are detected, `fields` maps the rest (dotted paths)
+   * - "static":    { url } or { data }                        fixed status for offline
+   *                development and tests (same lenient reading as "json")
+   *
+   * Usage:
+   *   <script src="serverStatus.js"></script>
+   *   const config = await serverStatus.loadConfig("status.config.json");
+   *   const status = await serverStatus.fetchStatus(config);
+   *
+   * Custom providers: serverStatus.register(name, { fetch(config, ctx), normalize(raw, config) }).
+   *
+   * Several servers: { servers: [{ id, name, address, provider, ... }, ...] }; a single
+   * provider config counts as one server. serverStatus.servers(config) lists them.
+   * serverStatus.motdToHtml(motd) turns § formatting codes into <span class="mc-*">.
+   */
+
+  /* =========================================================
+   * Utilities
+   * ========================================================= */
+
+  function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+  }
+
+  function toNumber(v, fallback) {
+    const n = typeof v === "string" ? Number(v) : v;
+    return (typeof n === "number" && isFinite(n)) ? n : fallback;
+  }
+
+  function getPath(obj, path) {
+    // "players.online" -> obj.players.online
+    return String(path).split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+  }
+
+  function pick(obj, paths) {
+    for (const p of paths) {
+      const v = getPath(obj, p);
+      if (v !== undefined && v !== null) return v;
+    }
+    return undefined;
+  }
+
+  function motdText(v) {
+    // string | string[] | { raw: string|string[] }
+    if (v == null) return "";
+    if (Array.isArray(v)) return v.map(String).join("\n");
+    if (typeof v === "object") return motdText(v.raw != null ? v.raw : v.clean);
+    return String(v);
+  }
+
+  function playerList(v) {
+    // ["name"] | [{ name, id|uuid }]
+    if (!Array.isArray(v)) return [];
+    return v.map((p) => {
+      if (typeof p === "string") return { name: p, id: null };
+      if (!p || typeof p !== "object") return null;
+      const name = p.name != null ? String(p.name) : "";
+      const id = p.id != null ? p.id : (p.uuid != null ? p.uuid : null);
+      return name ? { name: name, id: id == null ? null : String(id) } : null;
+    }).filter(Boolean);
+  }
+
+  function normalizeStatus(s, provider) {
+    // Fills defaults so renderers never have to guard individual fields.
+    const src = s || {};
+    const players = src.players || {};
+    const list = playerList(players.list);
+    return {
+      online: !!src.online,
+      players: {
+        online: toNumber(players.online, list.length),
+        max: toNumber(players.max, 0),
+        list: list,
+      },
+      motd: motdText(src.motd),
+      version: src.version == null ? "" : String(src.version),
+      icon: src.icon ? String(src.icon) : "",
+      latency: toNumber(src.latency, null),
+      provider: provider || src.provider || "",
+      fetchedAt: toNumber(src.fetchedAt, Date.now()),
+    };
+  }
+
+  async function fetchJson(url, ctx) {
+    const fetchFn = (ctx && ctx.fetch) || globalThis.fetch;
+    const res = await fetchFn(url, { cache: "no-store", signal: ctx && ctx.signal });
+    if (!res.ok) throw new Error("status fetch failed: HTTP " + res.status);
+    return res.json();
+  }
+
+  /* =========================================================
+   * Providers
+   * ========================================================= */
+
+  const mcsrvstat = {
+    fetch(config, ctx) {
+      if (!config.address) throw new Error("mcsrvstat provider needs an address");
+      const base = config.endpoint || "https://api.mcsrvstat.us";
+      const path = config.bedrock ? "/bedrock/3/" : "/3/";
+      return fetchJson(base + path + encodeURIComponent(config.address), ctx);
+    },
+    normalize(data) {
+      const players = data.players || {};
+      return {
+        online: data.online === true,
+        players: {
+          online: players.online,
+          max: players.max,
+          list: players.list || players.sample || [],
+        },
+        motd: data.motd,
+        version: data.version,
+        icon: data.icon,
+        latency: null, // mcsrvstat does not report ping
+      };
+    },
+  };
+
+  // Field names tried (in order) by the generic JSON reader; config.fields wins.
+  const JSON_FIELDS = {
+    online: ["online", "status.online", "isOnline"],
+    playersOnline: ["players.online", "players.count", "playersOnline", "onlinePlayers"],
+    playersMax: ["players.max", "maxPlayers", "playersMax"],
+    playersList: ["players.list", "players.sample", "playerList", "players"],
+    motd: ["motd", "description"],
+    version: ["version.name", "version"],
+    icon: ["icon", "favicon"],
+    latency: ["latency", "ping", "latencyMs"],
+  };
+
+  function readJsonStatus(data, config) {
+    const fields = (config && config.fields) || {};
+    const get = (key) => pick(data, fields[key] ? [fields[key]] : JSON_FIELDS[key]);
+    const online = get("online");
+    const list = get("playersList");
+    return {
+      // A response without an explicit flag still means the server answered.
+      online: online === undefined ? true : (online === true || online === "true" || online === 1),
+      players: {
+        online: get("playersOnline"),
+        max: get("playersMax"),
+        list: Array.isArray(list) ? list : [],
+      },
+      motd: get("motd"),
+      version: get("version"),
+      icon: get("icon"),
+      latency: get("latency"),
+    };
+  }
+
+  const json = {
+    fetch(config, ctx) {
+      if (!config.url) throw new Error("json provider needs a url");
+      return fetchJson(config.url, ctx);
+    },
+    normalize: readJsonStatus,
+  };
+
+  const staticProvider = {
+    fetch(config, ctx) {
+      if (config.data) return Promise.resolve(config.data);
+      if (!config.url) throw new Error("static provider needs data or a url");
+      return fetchJson(config.url, ctx);
+    },
+    normalize: readJsonStatus,
+  };
+
+  const providers = {
+    mcsrvstat: mcsrvstat,
+    json: json,
+    static: staticProvider,
+    mock: staticProvider,
+  };
+
+  /* =========================================================
+   * MOTD formatting (§ codes)
+   * ========================================================= */
+
+  // §0-§f colors, §k-§o styles, §r reset; §x§R§R§G§G§B§B is the hex color form.
+  const MOTD_STYLES = { k: "obfuscated", l: "bold", m: "strike", n: "underline", o: "italic" };
+
+  function motdToHtml(motd) {
+    const src = String(motd == null ? "" : motd);
+    let color = "";
+    let hex = "";
+    let styles = [];
+    let out = "";
+
+    const flush = (text) => {
+      if (!text) return;
+      const classes = (color ? ["mc-" + color] : []).concat(styles.map(st => "mc-" + st));
+      const attrs = (classes.length ? ' class="' + classes.join(" ") + '"' : "") +
+          (hex ? ' style="color:#' + hex + '"' : "");
+      const html = escapeHtml(text).replace(/\n/g, "<br>");
+      out += attrs ? "<span" + attrs + ">" + html + "</span>" : html;
+    };
+
+    const re = /\u00a7(?:x((?:\u00a7[0-9a-f]){6})|([0-9a-fk-or]))/gi;
+    let last = 0;
+    let m;
+    while ((m = re.exec(src))) {
+      flush(src.slice(last, m.index));
+      last = re.lastIndex;
+      if (m[1]) {
+        color = "";
+        hex = m[1].replace(/\u00a7/g, "").toLowerCase();
+        styles = [];
+        continue;
+      }
+      const code = m[2].toLowerCase();
+      if (code === "r") {
+        color = hex = "";
+        styles = [];
+      } else if (MOTD_STYLES[code]) {
+        if (styles.indexOf(MOTD_STYLES[code]) === -1) styles.push(MOTD_STYLES[code]);
+      } else {
+        // A color code also clears styles, as in the client.
+        color = code;
+        hex = "";
+        styles = [];
+      }
+    }
+    flush(src.slice(last));
+    return out;
+  }
+
+  /* =========================================================
+   * Public API
+   * ========================================================= */
+
+  function servers(config) {
+    // -> [{ id, name, address, ...providerConfig }]
+    const cfg = config || {};
+    const list = Array.isArray(cfg.servers) ? cfg.servers : [cfg];
+    return list.filter(s => s && typeof s === "object").map((s, i) => {
+      const id = s.id != null ? String(s.id) : "server-" + (i + 1);
+      return Object.assign({}, s, {
+        id: id,
+        name: s.name ? String(s.name) : (s.address ? String(s.address) : id),
+        address: s.address ? String(s.address) : "",
+      });
+    });
+  }
+
+  function register(name, provider) {
+    if (!provider || typeof provider.fetch !== "function") {
+      throw new Error("status provider \"" + name + "\" must have a fetch(config, ctx) method");
+    }
+    providers[name] = provider;
+  }
+
+  async function fetchStatus(config, ctx) {
+    // ctx: { signal?: AbortSignal, fetch?: custom fetch implementation }
+    const cfg = config || {};
+    const name = cfg.provider || "mcsrvstat";
+    const provider = providers[name];
+    if (!provider) throw new Error("unknown status provider: " + name);
+    const raw = await provider.fetch(cfg, ctx || {});
+    const normalized = provider.normalize ? provider.normalize(raw, cfg) : raw;
+    return normalizeStatus(normalized, name);
+  }
+
+  async function loadConfig(source, ctx) {
+    // A config object is used as-is; a string is fetched as a JSON file.
+    if (source && typeof source === "object") return source;
+    if (typeof source !== "string" || !source) throw new Error("status config must be an object or a URL");
+    const data = await fetchJson(source, ctx);
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("status config must be a JSON object");
+    }
+    return data;
+  }
+
+  const serverStatus = {
+    providers: providers,
+    register: register,
+    fetchStatus: fetchStatus,
+    loadConfig: loadConfig,
+    normalizeStatus: normalizeStatus,
+    servers: servers,
+    motdToHtml: motdToHtml,
+  };
+
+  if (typeof window !== "undefined") window.serverStatus = serverStatus;
+  if (typeof globalThis !== "undefined") globalThis.serverStatus = serverStatus;
+})();
@@ -0,0 +1,144 @@
+/**
+ * sw.js
+ * Offline support: the site shell and docs keep working on a flaky connection.
+ *
+ * - Shell (index.html, scripts, message catalogs, status config) and docx/index.json:
+ *   precached on install, then network first. A request that fails or takes longer
+ *   than NETWORK_TIMEOUT is answered from the cache.
+ * - docx/*.md: stale-while-revalidate. The cached copy is served at once and refreshed
+ *   in the background; open pages get a message when the refresh fails
+ *   ({ type: "doc-offline", url }) or brings a different version ({ type: "doc-updated", url }).
+ *   Conditional requests (the page revalidating a doc it has already rendered, with
+ *   If-None-Match / If-Modified-Since) go to the network so a 304 reaches the page; a new
+ *   version still updates the cache.
+ * - Responses served from the cache carry an "X-SW-Cache: hit" header.
+ * - Everything else (server status APIs, status-history.json, avatars, other origins)
+ *   is not handled here and always goes to the network: a cached status would look live.
+ *
+ * Bump CACHE_VERSION when the list of shell files changes.
+ */
+
+const CACHE_VERSION = "v2";
+const SHELL_CACHE = "miragev-shell-" + CACHE_VERSION;
+const DOCS_CACHE = "miragev-docs-" + CACHE_VERSION;
+const NETWORK_TIMEOUT = 4000;
+
+const SHELL_FILES = [
+  "index.html",
+  "mdToHtml.js",
+  "docWorker.js",
+  "serverStatus.js",
+  "i18n.js",
+  "i18n/zh-CN.json",
+  "i18n/en.json",
+  "status.config.json",
+  "docx/index.json",
+];
+
+function scopeUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    // "reload" skips the HTTP cache so a new worker never precaches stale files.
+    await cache.addAll(SHELL_FILES.map(path => new Request(scopeUrl(path), { cache: "reload" })));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, DOCS_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith("miragev-") && !keep.includes(n)).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  const scope = new URL(self.registration.scope);
+  if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return;
+  const path = url.pathname.slice(scope.pathname.length);
+
+  if (req.mode === "navigate") {
+    if (path === "" || path === "index.html") event.respondWith(networkFirst(event, scopeUrl("index.html")));
+    return;
+  }
+  if (/^docx\/.+\.md$/i.test(path)) {
+    const key = url.origin + url.pathname;
+    const conditional = req.headers.has("If-None-Match") || req.headers.has("If-Modified-Since");
+    event.respondWith(conditional ? revalidate(event, key) : staleWhileRevalidate(event, key));
+    return;
+  }
+  if (SHELL_FILES.includes(path)) {
+    event.respondWith(networkFirst(event, scopeUrl(path)));
+  }
+});
+
+function markCached(res) {
+  const headers = new Headers(res.headers);
+  headers.set("X-SW-Cache", "hit");
+  return new Response(res.body, { status: res.status, statusText: res.statusText, headers: headers });
+}
+
+function timeout(ms) {
+  return new Promise((_resolve, reject) => setTimeout(() => reject(new Error("network timeout")), ms));
+}
+
+async function networkFirst(event, key) {
+  const cache = await caches.open(SHELL_CACHE);
+  const network = fetch(event.request).then(async (res) => {
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  });
+  event.waitUntil(network.then(() => {}, () => {}));
+
+  try {
+    return await Promise.race([network, timeout(NETWORK_TIMEOUT)]);
+  } catch (e) {
+    const cached = await cache.match(key);
+    if (cached) return markCached(cached);
+    return network; // nothing cached: keep waiting for (or fail with) the network
+  }
+}
+
+async function staleWhileRevalidate(event, key) {
+  const cache = await caches.open(DOCS_CACHE);
+  const cached = await cache.match(key);
+  const previous = cached && cached.clone();
+
+  const network = fetch(key, { cache: "no-cache" }).then(async (res) => {
+    if (!res.ok) return res;
+    const changed = previous && (await previous.text()) !== (await res.clone().text());
+    await cache.put(key, res.clone());
+    // Only after the put, so a page reloading on this message gets the new copy.
+    if (changed) await notifyClients({ type: "doc-updated", url: key });
+    return res;
+  }, async (err) => {
+    if (cached) await notifyClients({ type: "doc-offline", url: key });
+    throw err;
+  });
+
+  if (!cached) return network;
+  event.waitUntil(network.then(() => {}, () => {}));
+  return markCached(cached);
+}
+
+async function revalidate(event, key) {
+  const res = await fetch(event.request);
+  if (res.ok) {
+    const cache = await caches.open(DOCS_CACHE);
+    event.waitUntil(cache.put(key, res.clone()));
+  }
+  return res;
+}
+
+async function notifyClients(message) {
+  const list = await self.clients.matchAll({ type: "window" });
+  list.forEach(client => client.postMessage(message));
+}
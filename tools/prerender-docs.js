@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * tools/prerender-docs.js
+ * Pre-renders the docs in docx/index.json to static HTML pages (for search engines and
+ * link previews), with the same mdToHtml options as the docs viewer. Runs in Node
+ * without a DOM.
+ *
+ *   node tools/prerender-docs.js <outDir>
+ *
+ * The output directory is required; it usually lives outside this repository (a
+ * deploy checkout or a temp dir). static/ inside the repo is git-ignored for local runs.
+ *
+ * Writes <name>.html per manifest entry, plus <name>.<lang>.html for locale variants
+ * that have their own file. Each page carries <title>, a description, Open Graph tags
+ * and a link to the live page. markdown-it (and markdown-it-footnote / -container /
+ * -task-lists) are used when installed next to the site, else the built-in parser.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const mdToHtml = require("../mdToHtml.js");
+
+const ROOT = path.resolve(__dirname, "..");
+const FALLBACK_LANG = "zh-CN";
+const CALLOUT_KINDS = ["note", "tip", "info", "warning", "danger"];
+const API_LABEL_KEYS = ["param", "type", "default", "required", "description", "returns", "errors", "example", "yes", "no"];
+const MARKDOWN_IT_PLUGINS = {
+  footnote: "markdown-it-footnote",
+  container: "markdown-it-container",
+  taskLists: "markdown-it-task-lists",
+};
+
+function optionalRequire(name) {
+  try {
+    return require(name);
+  } catch (e) {
+    return null;
+  }
+}
+
+function escapeHtml(str) {
+  return String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), "utf8"));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function docsPath(p) {
+  return p.startsWith("docx/") ? p : "docx/" + p;
+}
+
+function routeName(p) {
+  return p.replace(/^docx\//, "").replace(/\.md$/i, "");
+}
+
+function urlPath(from, to) {
+  // Relative URL from the output directory to a site file.
+  return path.relative(from, path.join(ROOT, to)).split(path.sep).join("/");
+}
+
+function renderOptions(lang, baseUrl) {
+  // The viewer's DOC_RENDER_OPTIONS, with callout titles and API card labels from the
+  // page language's catalog.
+  const catalog = readJson("i18n/" + lang + ".json", null) || readJson("i18n/" + FALLBACK_LANG + ".json", {});
+  const calloutTitles = {};
+  CALLOUT_KINDS.forEach(kind => {
+    if (typeof catalog["callout." + kind] === "string") calloutTitles[kind] = catalog["callout." + kind];
+  });
+  const apiLabels = {};
+  API_LABEL_KEYS.forEach(key => {
+    if (typeof catalog["api." + key] === "string") apiLabels[key] = catalog["api." + key];
+  });
+
+  const markdownItPlugins = {};
+  Object.keys(MARKDOWN_IT_PLUGINS).forEach(key => {
+    const plugin = optionalRequire(MARKDOWN_IT_PLUGINS[key]);
+    if (plugin) markdownItPlugins[key] = plugin;
+  });
+  return {
+    allowHtml: true,
+    tocMinLevel: 2,
+    tocMaxLevel: 3,
+    calloutTitles: calloutTitles,
+    apiLabels: apiLabels,
+    baseUrl: baseUrl,
+    markdownIt: optionalRequire("markdown-it") || false,
+    markdownItPlugins: markdownItPlugins,
+  };
+}
+
+function renderPage(page, outDir) {
+  const md = fs.readFileSync(path.join(ROOT, page.source), "utf8");
+  const out = mdToHtml.renderDocument(md, renderOptions(page.lang, urlPath(outDir, page.source)));
+  const title = page.title || out.meta.title || routeName(page.path);
+  const description = page.description || out.meta.description || "";
+  const catalog = readJson("i18n/" + page.lang + ".json", {});
+  const live = urlPath(outDir, "index.html") + "#/docs/" + routeName(page.path).split("/").map(encodeURIComponent).join("/");
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(page.lang)}">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(title)}</title>
+<meta name="description" content="${escapeHtml(description)}" />
+<meta property="og:type" content="article" />
+<meta property="og:title" content="${escapeHtml(title)}" />
+<meta property="og:description" content="${escapeHtml(description)}" />
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p><a href="${escapeHtml(live)}">${escapeHtml(catalog["doc.readOnline"] || "Read online")}</a></p>
+</header>
+${out.toc}
+<article class="md">
+${out.html}
+</article>
+</body>
+</html>
+`;
+}
+
+function pages(manifest) {
+  // One page per entry in its own language, plus translated files from `locales`.
+  const list = [];
+  manifest.forEach(raw => {
+    const item = typeof raw === "string" ? { path: raw } : raw;
+    if (!item || typeof item.path !== "string" || !/\.md$/i.test(item.path)) return;
+    const p = docsPath(item.path);
+    const lang = item.lang || FALLBACK_LANG;
+    list.push({ path: p, source: p, lang: lang, file: routeName(p) + ".html", title: item.title, description: item.description });
+
+    Object.keys(item.locales || {}).forEach(code => {
+      const v = typeof item.locales[code] === "string" ? { path: item.locales[code] } : item.locales[code];
+      if (!v || typeof v.path !== "string" || !/\.md$/i.test(v.path)) return;
+      list.push({
+        path: p,
+        source: docsPath(v.path),
+        lang: code,
+        file: routeName(p) + "." + code + ".html",
+        title: v.title || item.title,
+        description: v.description || item.description,
+      });
+    });
+  });
+  return list;
+}
+
+function main() {
+  if (!process.argv[2]) {
+    console.error("usage: node tools/prerender-docs.js <outDir>");
+    process.exit(1);
+  }
+  const outDir = path.resolve(process.argv[2]);
+  const manifest = readJson("docx/index.json", null);
+  if (!Array.isArray(manifest)) {
+    console.error("docx/index.json is missing or not a JSON array");
+    process.exit(1);
+  }
+
+  let failed = 0;
+  pages(manifest).forEach(page => {
+    const target = path.join(outDir, page.file);
+    try {
+      const html = renderPage(page, path.dirname(target));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, html);
+      console.log(page.source + " -> " + path.relative(process.cwd(), target));
+    } catch (e) {
+      failed++;
+      console.error(page.source + ": " + e.message);
+    }
+  });
+  if (failed) process.exit(1);
+}
+
+main();
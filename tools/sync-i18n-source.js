@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * tools/sync-i18n-source.js
+ * Copies the source-language catalog (i18n/zh-CN.json) into the #i18n-source block of
+ * index.html, which the page uses when the catalog request fails or times out. Edit the
+ * JSON file, then run this; the block in index.html is never edited by hand.
+ *
+ *   node tools/sync-i18n-source.js            rewrite the block in index.html
+ *   node tools/sync-i18n-source.js --check    exit 1 if the block is out of date
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const SOURCE = "i18n/zh-CN.json";
+const PAGE = "index.html";
+const BLOCK_RE = /(<script type="application\/json" id="i18n-source">\n)([\s\S]*?)(<\/script>)/;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function main() {
+  const check = process.argv.includes("--check");
+  let json = fs.readFileSync(path.join(ROOT, SOURCE), "utf8");
+  try {
+    JSON.parse(json);
+  } catch (e) {
+    fail(SOURCE + ": " + e.message);
+  }
+  // "</script" would end the inline block early.
+  if (/<\/script/i.test(json)) fail(SOURCE + ': contains "</script", which can\'t be inlined');
+  if (!json.endsWith("\n")) json += "\n";
+
+  const pageFile = path.join(ROOT, PAGE);
+  const html = fs.readFileSync(pageFile, "utf8");
+  const m = html.match(BLOCK_RE);
+  if (!m) fail(PAGE + ": no #i18n-source block");
+  if (m[2] === json) {
+    console.log(PAGE + ": #i18n-source is up to date");
+    return;
+  }
+  if (check) fail(PAGE + ": #i18n-source differs from " + SOURCE + "; run node tools/sync-i18n-source.js");
+
+  fs.writeFileSync(pageFile, html.replace(BLOCK_RE, (_all, open, _old, close) => open + json + close));
+  console.log(SOURCE + " -> " + PAGE + " #i18n-source");
+}
+
+main();